@@ -1,15 +1,53 @@
 /**
  * Inline Image Generation Extension for SillyTavern
  * * Catches [IMG:GEN:{json}] tags in AI messages and generates images via configured API.
- * Supports OpenAI-compatible and Gemini-compatible (nano-banana) endpoints.
+ * Supports OpenAI-compatible, Gemini-compatible (nano-banana), Stable Diffusion WebUI (A1111/Forge)
+ * and ComfyUI (templated API-format workflows) endpoints.
  */
 
 (function() {
     const MODULE_NAME = 'inline_image_gen';
+    const EXTENSION_PATH = '/scripts/extensions/third-party/sillyimages';
 
     // Track messages currently being processed to prevent duplicate processing
     const processingMessages = new Set();
 
+    // In-flight tag generations: tagId -> { controller, messageId, target, placeholder }
+    const activeGenerations = new Map();
+    let generationSerial = 0;
+
+    // Messages edited while being processed, checked again for new tags afterwards
+    const pendingMessageChecks = new Set();
+
+    // Generations started while a reply is streaming: messageId -> Map(tagIndex -> job)
+    const streamingGenerations = new Map();
+
+    // Generation the streamed tokens belong to: its type and the tags a continued message already had
+    const streamingTarget = {
+        type: null,
+        tagOffset: 0,
+    };
+
+    // Result cache loaded from its file on first use
+    const resultCacheState = {
+        entries: null,
+        loading: null,
+        saveTimer: null,
+    };
+
+    // Quiet generations to the chat LLM run one at a time
+    let quietGenerationChain = Promise.resolve();
+
+    // Replies that just came from the LLM, checked for auto-illustration once rendered
+    const freshReplies = new WeakSet();
+
+    // Global generation queue shared by all messages
+    const generationQueue = {
+        jobs: [],
+        running: 0,
+        nextId: 1,
+    };
+
     // Log buffer for debugging
     const logBuffer = [];
     const MAX_LOG_ENTRIES = 200;
@@ -45,29 +83,208 @@
         toastr.success('Логи экспортированы', 'Генерация картинок');
     }
 
-    // Default settings
-    const defaultSettings = Object.freeze({
-        enabled: true,
-        apiType: 'gemini', 
+    // Default connection profile
+    const defaultProfile = Object.freeze({
+        name: 'Основной',
+        apiType: 'gemini',
         endpoint: '',
         apiKey: '',
         model: '',
         size: '1024x1024',
         quality: 'standard',
-        maxRetries: 0, 
-        retryDelay: 1000,
         // Nano-banana specific
         sendCharAvatar: false,
         sendUserAvatar: false,
-        userAvatarFile: '', 
-        aspectRatio: '1:1', 
-        imageSize: '1K', 
+        userAvatarFile: '',
+        aspectRatio: '1:1',
+        imageSize: '1K',
+        // Per-request timeout in seconds, 0 = no limit
+        requestTimeout: 180,
+        // Requests per minute to this endpoint, 0 = no limit
+        rpmLimit: 0,
+        // Stable Diffusion WebUI (A1111/Forge) specific
+        sdSampler: 'Euler a',
+        sdSteps: 25,
+        sdCfgScale: 7,
+        sdSeed: -1,
+        sdNegativePrompt: '',
+        sdBaseSize: 1024,
+        sdRefMode: 'img2img',
+        sdDenoisingStrength: 0.6,
+        sdControlNetModule: 'ip-adapter_clip_sdxl_plus_vith',
+        sdControlNetModel: '',
+        sdControlNetWeight: 0.8,
+        // ComfyUI specific
+        comfyWorkflowId: '',
+        comfyNegativePrompt: '',
+        comfySeed: -1,
+        comfyBaseSize: 1024,
+    });
+
+    // Default settings
+    const defaultSettings = Object.freeze({
+        enabled: true,
+        streamingGeneration: true,
+        maxRetries: 0,
+        retryDelay: 1000,
+        // Generation queue
+        queueConcurrency: 1,
+        showQueuePanel: true,
+        // Connection profiles: id -> profile
+        profiles: {},
+        activeProfileId: '',
+        // Character avatar file -> profile id
+        characterProfiles: {},
+        // ComfyUI API-format workflows: id -> { name, json, styles }
+        comfyWorkflows: {},
+        // Style presets: id -> { name, prefix, suffix, negative, aspectRatio, imageSize }
+        stylePresets: {},
+        // Instruction block injected into the LLM prompt
+        injectEnabled: false,
+        injectTemplateId: 'prompt_md',
+        injectPosition: 1,
+        injectDepth: 1,
+        injectRole: 0,
+        // Injection templates: id -> { name, text }
+        injectTemplates: {},
+        // Result cache entries live in RESULT_CACHE_FILE, not here
+        resultCacheEnabled: false,
+        // Usage totals: local day 'YYYY-MM-DD' -> model -> { images, failed }; days before this month fold into usageMonths
+        usageDays: {},
+        usageMonths: {},
+        // Last API calls: [{ time, profile, provider, model, size, success, error }]
+        usageLog: [],
+        // Model -> price of one image
+        modelPrices: {},
+        usageLimitPeriod: 'month',
+        usageLimitUnit: 'cost',
+        usageWarnThreshold: 0,
+        usageHardCap: 0,
+        usageWarnedPeriod: '',
+        // Backup profile ids tried in order after the resolved profile fails
+        failoverChain: [],
+        // Rewrite safety-blocked prompts with the chat LLM
+        safetyRewriteEnabled: false,
+        safetyRewriteAttempts: 1,
+        safetyRewriteReplace: false,
+        safetyRewriteTemplate: '',
+        // Expand tag prompts with the chat LLM before generation (chat toggle in chat metadata)
+        enhanceEnabled: false,
+        enhanceMessages: 4,
+        enhanceTemplate: '',
+        // Insert an illustration into every N-th assistant reply without image tags
+        autoIllustrateEnabled: false,
+        autoIllustrateEvery: 3,
+        autoIllustratePlacement: 'bottom', // 'top' | 'paragraph' | 'bottom'
+        autoIllustrateStyle: '',
+        autoIllustrateMessages: 3,
+        autoIllustrateTemplate: '',
+        // Failure class -> 'failover' | 'stop'
+        failoverRules: {
+            network: 'failover',
+            server: 'failover',
+            quota: 'failover',
+            safety: 'failover',
+            text_only: 'failover',
+        },
+    });
+
+    // Request to the chat LLM for a blocked prompt ({{iig_prompt}}, {{iig_reason}})
+    const DEFAULT_SAFETY_REWRITE_TEMPLATE = [
+        'The following image generation prompt was blocked by the image model\'s safety filter ({{iig_reason}}):',
+        '',
+        '{{iig_prompt}}',
+        '',
+        'Rewrite it so it passes the filter while keeping the same scene, characters, composition, clothing, mood and art style.',
+        'Soften or remove explicit, violent or otherwise sensitive wording and do not add anything new.',
+        'Answer with the rewritten prompt only, without quotes or comments.',
+    ].join('\n');
+
+    // Request to the chat LLM that expands a tag prompt ({{iig_prompt}}, {{iig_char}}, {{iig_description}}, {{iig_persona}}, {{iig_messages}})
+    const DEFAULT_ENHANCE_TEMPLATE = [
+        'You write prompts for an image generation model. Use the story context below.',
+        '',
+        'Character {{iig_char}}:',
+        '{{iig_description}}',
+        '',
+        'User persona:',
+        '{{iig_persona}}',
+        '',
+        'Recent messages:',
+        '{{iig_messages}}',
+        '',
+        'Expand this image prompt: {{iig_prompt}}',
+        '',
+        'Keep everything it describes and do not change what happens in the scene.',
+        'Add the established appearance of the characters in the picture (face, hair, eyes, body, clothing) and details of the place, time and mood from the story.',
+        'Answer with the expanded prompt only, in English, in one paragraph, without quotes or comments.',
+    ].join('\n');
+
+    // Request to the chat LLM that turns the scene of a message into an image prompt (same variables, no {{iig_prompt}})
+    const DEFAULT_ILLUSTRATE_TEMPLATE = [
+        'You write prompts for an image generation model. Use the story context below.',
+        '',
+        'Character {{iig_char}}:',
+        '{{iig_description}}',
+        '',
+        'User persona:',
+        '{{iig_persona}}',
+        '',
+        'Recent messages:',
+        '{{iig_messages}}',
+        '',
+        'Describe the scene of the last message as a single picture: who is in it and how they look right now (face, hair, body, clothing), their pose and action, the place, lighting, time of day and mood.',
+        'Answer with the image prompt only, in English, in one paragraph, without quotes or comments.',
+    ].join('\n');
+
+    // Failure classes with configurable failover: class -> label
+    const FAILURE_CLASSES = Object.freeze({
+        network: 'Сеть и таймаут',
+        server: 'Ошибка сервера (5xx)',
+        quota: 'Квота и лимиты (429)',
+        safety: 'Блокировка (safety)',
+        text_only: 'Ответ без картинки',
+    });
+
+    // Max entries kept in result cache
+    const RESULT_CACHE_LIMIT = 500;
+    // Result cache file in user files: key -> { path, prompt, created, info }
+    const RESULT_CACHE_FILE = 'iig_result_cache.json';
+    // Max raw entries kept in usage log, totals are kept separately
+    const USAGE_LOG_LIMIT = 200;
+
+    // Templates shipped with the extension: id -> file
+    const SHIPPED_TEMPLATES = Object.freeze({
+        prompt_md: {
+            name: 'prompt.md',
+            file: 'prompt.md',
+            // Value lists hardcoded for manual pasting, swapped for variables in the injected copy
+            variables: [
+                ['"1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"', '{{iig_aspect_ratios}}'],
+                ['"1K" (default), "2K", "4K" for higher quality', '{{iig_image_sizes}}. "1K" is the default, larger sizes for higher quality'],
+            ],
+        },
+        css_html: { name: 'css_html.txt', file: 'css_html.txt' },
+    });
+
+    // Empty style preset
+    const defaultStylePreset = Object.freeze({
+        name: '',
+        prefix: '',
+        suffix: '',
+        negative: '',
+        aspectRatio: '',
+        imageSize: '',
     });
 
     // Valid aspect ratios for Gemini/nano-banana
     const VALID_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
     // Valid image sizes for Gemini/nano-banana
     const VALID_IMAGE_SIZES = ['1K', '2K', '4K'];
+    // Max reference images per request (Gemini inlineData limit)
+    const MAX_REFERENCE_IMAGES = 4;
+    // Gemini finish reasons meaning the answer was blocked
+    const GEMINI_SAFETY_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_PROHIBITED_CONTENT'];
     
     // Prompt prefixes to force aspect ratio (Hack for Imagen 3)
     const RATIO_PROMPTS = {
@@ -118,6 +335,16 @@
         return mid.includes('nano-banana') || mid.includes('gemini');
     }
 
+    /**
+     * Resolve which backend handles a profile
+     */
+    function getBackendType(profile) {
+        if (profile.apiType === 'sd') return 'sd';
+        if (profile.apiType === 'comfy') return 'comfy';
+        if (profile.apiType === 'gemini' || isGeminiModel(profile.model)) return 'gemini';
+        return 'openai';
+    }
+
     /**
      * Get extension settings
      */
@@ -128,14 +355,109 @@
             context.extensionSettings[MODULE_NAME] = structuredClone(defaultSettings);
         }
         
+        const settings = context.extensionSettings[MODULE_NAME];
+
         // Ensure all default keys exist
         for (const key of Object.keys(defaultSettings)) {
-            if (!Object.hasOwn(context.extensionSettings[MODULE_NAME], key)) {
-                context.extensionSettings[MODULE_NAME][key] = defaultSettings[key];
+            if (!Object.hasOwn(settings, key)) {
+                settings[key] = structuredClone(defaultSettings[key]);
             }
         }
-        
-        return context.extensionSettings[MODULE_NAME];
+
+        // Migrate single-connection settings into the first profile
+        if (Object.keys(settings.profiles).length === 0) {
+            const profile = structuredClone(defaultProfile);
+            for (const key of Object.keys(defaultProfile)) {
+                if (key !== 'name' && Object.hasOwn(settings, key)) {
+                    profile[key] = settings[key];
+                    delete settings[key];
+                }
+            }
+            const id = generateProfileId();
+            settings.profiles[id] = profile;
+            settings.activeProfileId = id;
+        }
+
+        for (const profile of Object.values(settings.profiles)) {
+            for (const key of Object.keys(defaultProfile)) {
+                if (!Object.hasOwn(profile, key)) {
+                    profile[key] = structuredClone(defaultProfile[key]);
+                }
+            }
+        }
+
+        if (!settings.profiles[settings.activeProfileId]) {
+            settings.activeProfileId = Object.keys(settings.profiles)[0];
+        }
+
+        return settings;
+    }
+
+    /**
+     * Generate unique profile ID
+     */
+    function generateProfileId() {
+        return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Get the profile currently selected in settings
+     */
+    function getActiveProfile() {
+        const settings = getSettings();
+        return settings.profiles[settings.activeProfileId];
+    }
+
+    /**
+     * Get per-chat extension metadata
+     */
+    function getChatMetadata() {
+        const context = SillyTavern.getContext();
+        if (!context.chatMetadata) return {};
+        if (!context.chatMetadata[MODULE_NAME]) {
+            context.chatMetadata[MODULE_NAME] = {};
+        }
+        return context.chatMetadata[MODULE_NAME];
+    }
+
+    /**
+     * Get character who authored a message (handles group chats)
+     */
+    function getMessageCharacter(message) {
+        const context = SillyTavern.getContext();
+
+        if (message?.original_avatar) {
+            const character = context.characters?.find(c => c.avatar === message.original_avatar);
+            if (character) return character;
+        }
+
+        if (context.characterId !== undefined && context.characterId !== null) {
+            return context.characters?.[context.characterId] || null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve connection profile for a message: chat binding, then character binding, then active profile
+     */
+    function resolveProfile(messageId) {
+        const context = SillyTavern.getContext();
+        const settings = getSettings();
+
+        const chatProfileId = getChatMetadata().profileId;
+        if (chatProfileId && settings.profiles[chatProfileId]) {
+            return settings.profiles[chatProfileId];
+        }
+
+        const message = messageId !== undefined && messageId !== null ? context.chat?.[messageId] : null;
+        const character = getMessageCharacter(message);
+        const charProfileId = character ? settings.characterProfiles[character.avatar] : null;
+        if (charProfileId && settings.profiles[charProfileId]) {
+            return settings.profiles[charProfileId];
+        }
+
+        return getActiveProfile();
     }
 
     /**
@@ -149,24 +471,31 @@
     /**
      * Fetch models list from endpoint
      */
-    async function fetchModels() {
-        const settings = getSettings();
+    async function fetchModels(profile = getActiveProfile()) {
+        if (profile.apiType === 'sd') {
+            return (await fetchSdOptions(profile, 'sdapi/v1/sd-models')).map(m => m.title);
+        }
+        
+        if (profile.apiType === 'comfy') {
+            const info = await fetchSdOptions(profile, 'object_info/CheckpointLoaderSimple');
+            return info.CheckpointLoaderSimple?.input?.required?.ckpt_name?.[0] || [];
+        }
         
-        if (!settings.endpoint || !settings.apiKey) {
+        if (!profile.endpoint || !profile.apiKey) {
             console.warn('[IIG] Cannot fetch models: endpoint or API key not set');
             return [];
         }
         
-        let url = settings.endpoint;
+        let url = profile.endpoint;
         if (!url.endsWith('/models') && !url.includes('generateContent')) {
-            url = `${settings.endpoint.replace(/\/$/, '')}/v1/models`;
+            url = `${profile.endpoint.replace(/\/$/, '')}/v1/models`;
         }
         
         try {
             const response = await fetch(url, {
                 method: 'GET',
                 headers: {
-                    'Authorization': `Bearer ${settings.apiKey}`
+                    'Authorization': `Bearer ${profile.apiKey}`
                 }
             });
             
@@ -183,6 +512,52 @@
         }
     }
 
+    /**
+     * Get Stable Diffusion WebUI base URL without API path
+     */
+    function getSdBaseUrl(profile) {
+        return profile.endpoint.replace(/\/$/, '').replace(/\/sdapi\/v1.*$/, '');
+    }
+
+    /**
+     * Get request headers for Stable Diffusion WebUI (--api-auth user:pass or bearer token)
+     */
+    function getSdHeaders(profile) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (profile.apiKey) {
+            headers['Authorization'] = profile.apiKey.includes(':')
+                ? `Basic ${btoa(profile.apiKey)}`
+                : `Bearer ${profile.apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Fetch option list from Stable Diffusion WebUI or ComfyUI (models, samplers, ControlNet models)
+     */
+    async function fetchSdOptions(profile, path) {
+        if (!profile.endpoint) {
+            console.warn('[IIG] Cannot fetch SD options: endpoint not set');
+            return [];
+        }
+        
+        try {
+            const response = await fetch(`${getSdBaseUrl(profile)}/${path}`, {
+                method: 'GET',
+                headers: getSdHeaders(profile)
+            });
+            
+            if (!response.ok) {
+                return [];
+            }
+            
+            return await response.json();
+        } catch (error) {
+            iigLog('WARN', `Failed to fetch ${path}: ${error.message}`);
+            return [];
+        }
+    }
+
     /**
      * Fetch list of user avatars
      */
@@ -206,1071 +581,6870 @@
     }
 
     /**
-     * Convert image URL to base64
+     * Read blob as data URL
      */
-    async function imageUrlToBase64(url) {
-        try {
-            const response = await fetch(url);
-            const blob = await response.blob();
-            
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onloadend = () => {
-                    const result = reader.result;
-                    const base64 = result.includes(',') ? result.split(',')[1] : result;
-                    resolve(base64);
-                };
-                reader.onerror = reject;
-                reader.readAsDataURL(blob);
-            });
-        } catch (error) {
-            iigLog('WARN', `Failed to convert image to base64 (CORS?): ${error.message}`);
-            return null;
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Convert raw base64 to bytes
+     */
+    function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
         }
+        return bytes;
     }
 
     /**
-     * Save base64 image to file via SillyTavern API
+     * Convert bytes to raw base64
      */
-    async function saveImageToFile(dataUrl) {
-        const context = SillyTavern.getContext();
-        
-        if (!dataUrl.startsWith('data:image')) {
-             dataUrl = `data:image/jpeg;base64,${dataUrl}`;
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
         }
+        return btoa(binary);
+    }
 
-        const match = dataUrl.match(/^data:image\/(\w+);base64,(.+)$/);
-        if (!match) {
-            throw new Error('Invalid data URL format');
+    /**
+     * Convert raw base64 to blob
+     */
+    function base64ToBlob(base64, mimeType = 'image/png') {
+        return new Blob([base64ToBytes(base64)], { type: mimeType });
+    }
+
+    // CRC-32 lookup table for ZIP archives, built on first use
+    let crc32Table = null;
+
+    /**
+     * Compute CRC-32 of bytes
+     */
+    function crc32(bytes) {
+        if (!crc32Table) {
+            crc32Table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crc32Table[n] = c >>> 0;
+            }
         }
         
-        const format = match[1]; 
-        const base64Data = match[2];
-        
-        let charName = 'generated';
-        if (context.characterId !== undefined && context.characters?.[context.characterId]) {
-            charName = context.characters[context.characterId].name || 'generated';
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
         }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Build an uncompressed ZIP archive from [{ name, data: Uint8Array }]
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
         
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `iig_${timestamp}`;
-        
-        const response = await fetch('/api/images/upload', {
-            method: 'POST',
-            headers: context.getRequestHeaders(),
-            body: JSON.stringify({
-                image: base64Data,
-                format: format,
-                ch_name: charName,
-                filename: filename
-            })
-        });
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
         
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-            throw new Error(error.error || `Upload failed: ${response.status}`);
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = crc32(file.data);
+            const size = file.data.length;
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(local.buffer, name, file.data);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(central.buffer, name);
+            
+            offset += 30 + name.length + size;
         }
         
-        const result = await response.json();
-        console.log('[IIG] Image saved to:', result.path);
-        return result.path;
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...localParts, ...centralParts, end.buffer], { type: 'application/zip' });
     }
 
     /**
-     * Get character avatar as base64
+     * Make a file name unique within an archive by adding _2, _3... before the extension
      */
-    async function getCharacterAvatarBase64() {
-        try {
-            const context = SillyTavern.getContext();
-            
-            if (context.characterId === undefined || context.characterId === null) {
-                return null;
-            }
-            
-            if (typeof context.getCharacterAvatar === 'function') {
-                const avatarUrl = context.getCharacterAvatar(context.characterId);
-                if (avatarUrl) {
-                    return await imageUrlToBase64(avatarUrl);
-                }
-            }
-            
-            const character = context.characters?.[context.characterId];
-            if (character?.avatar) {
-                const avatarUrl = `/characters/${encodeURIComponent(character.avatar)}`;
-                return await imageUrlToBase64(avatarUrl);
-            }
-            
-            return null;
-        } catch (error) {
-            console.error('[IIG] Error getting character avatar:', error);
-            return null;
+    function uniqueFileName(baseName, usedNames) {
+        let name = baseName;
+        for (let i = 2; usedNames.has(name); i++) {
+            name = baseName.replace(/(\.\w+)?$/, `_${i}$1`);
         }
+        usedNames.add(name);
+        return name;
     }
 
     /**
-     * Get user avatar as base64
+     * Get file name of an image path for archives
      */
-    async function getUserAvatarBase64() {
-        try {
-            const settings = getSettings();
-            
-            if (!settings.userAvatarFile) {
-                return null;
-            }
-            
-            const avatarUrl = `/User Avatars/${encodeURIComponent(settings.userAvatarFile)}`;
-            return await imageUrlToBase64(avatarUrl);
-        } catch (error) {
-            console.error('[IIG] Error getting user avatar:', error);
-            return null;
+    function getImageFileName(src) {
+        if (src.startsWith('data:')) {
+            const format = src.match(/^data:image\/(\w+)/)?.[1] || 'png';
+            return `image.${format === 'jpeg' ? 'jpg' : format}`;
         }
+        return decodeURIComponent(src.split(/[?#]/)[0].split('/').pop() || '') || 'image.png';
     }
 
     /**
-     * Validate settings before generation
+     * Trigger browser download of a blob
      */
-    function validateSettings() {
-        const settings = getSettings();
-        const errors = [];
-        
-        if (!settings.endpoint) errors.push('URL эндпоинта не настроен');
-        if (!settings.apiKey) errors.push('API ключ не настроен');
-        if (!settings.model) errors.push('Модель не выбрана');
-        
-        if (errors.length > 0) {
-            throw new Error(`Ошибка настроек: ${errors.join(', ')}`);
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Keyword of PNG text chunks and XMP property holding generation metadata
+    const METADATA_KEY = 'iig';
+    const XMP_NAMESPACE = 'urn:inline-image-gen:1.0/';
+    const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+    /**
+     * Concatenate byte arrays
+     */
+    function concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
         }
+        return result;
     }
 
     /**
-     * Generate image via OpenAI-compatible endpoint
+     * Metadata written into saved images: enough to rebuild the tag and reproduce the result
      */
-    async function generateImageOpenAI(prompt, style, referenceImages = [], options = {}) {
-        const settings = getSettings();
+    function buildImageMetadata(tag, info) {
+        return {
+            prompt: info.rewrittenPrompt || info.enhancedPrompt || tag.prompt || '',
+            style: tag.style || '',
+            negative_prompt: info.negativePrompt || null,
+            seed: info.seed ?? null,
+            aspect_ratio: info.aspectRatio || null,
+            image_size: info.imageSize || null,
+            quality: info.quality || null,
+            refs: info.refs || null,
+            model: info.model || null,
+            backend: info.backend || null,
+            provider: info.provider || null,
+            created: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Build XMP packet carrying metadata JSON
+     */
+    function buildXmpPacket(metadata) {
+        const value = JSON.stringify(metadata)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/"/g, '&quot;');
+        return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+            + '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+            + `<rdf:Description rdf:about="" xmlns:${METADATA_KEY}="${XMP_NAMESPACE}" ${METADATA_KEY}:metadata="${value}"/>`
+            + '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+    }
+
+    /**
+     * Read metadata JSON back from XMP packet text
+     */
+    function parseXmpPacket(xmp) {
+        const match = xmp.match(new RegExp(`${METADATA_KEY}:metadata="([^"]*)"`));
+        if (!match) return null;
         
-        let url = settings.endpoint;
-        if (!url.includes('/images/generations')) {
-            url = `${settings.endpoint.replace(/\/$/, '')}/v1/images/generations`;
+        const json = match[1]
+            .replace(/&quot;/g, '"')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+        return JSON.parse(json);
+    }
+
+    /**
+     * Insert iTXt chunk with metadata before IEND of a PNG
+     */
+    function embedPngMetadata(bytes, metadata) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 8;
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            if (type === 'IEND') break;
+            offset += 12 + length;
         }
+        if (offset + 8 > bytes.length) return null;
         
-        const fullPrompt = style ? `[Style: ${style}] ${prompt}` : prompt;
+        const encoder = new TextEncoder();
+        // keyword, null, compression flag and method, empty language and translated keyword
+        const body = concatBytes([
+            encoder.encode('iTXt'),
+            encoder.encode(METADATA_KEY),
+            new Uint8Array([0, 0, 0, 0, 0]),
+            encoder.encode(JSON.stringify(metadata)),
+        ]);
+        const chunk = new Uint8Array(body.length + 8);
+        const chunkView = new DataView(chunk.buffer);
+        chunkView.setUint32(0, body.length - 4);
+        chunk.set(body, 4);
+        chunkView.setUint32(body.length + 4, crc32(body));
         
-        let size = settings.size;
-        if (options.aspectRatio) {
-            if (options.aspectRatio === '16:9') size = '1792x1024';
-            else if (options.aspectRatio === '9:16') size = '1024x1792';
-            else if (options.aspectRatio === '1:1') size = '1024x1024';
+        return concatBytes([bytes.subarray(0, offset), chunk, bytes.subarray(offset)]);
+    }
+
+    /**
+     * Insert XMP APP1 segment into a JPEG (after JFIF header if present)
+     */
+    function embedJpegMetadata(bytes, metadata) {
+        const payload = new TextEncoder().encode(XMP_HEADER + buildXmpPacket(metadata));
+        // Segment length is 16-bit and includes its own two bytes
+        if (payload.length + 2 > 0xFFFF) return null;
+        
+        let offset = 2;
+        if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+            offset = 4 + ((bytes[4] << 8) | bytes[5]);
         }
         
-        const body = {
-            model: settings.model,
-            prompt: fullPrompt,
-            n: 1,
-            size: size,
-            quality: options.quality || settings.quality,
-            response_format: 'b64_json'
-        };
+        const header = new Uint8Array([0xFF, 0xE1, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF]);
+        return concatBytes([bytes.subarray(0, offset), header, payload, bytes.subarray(offset)]);
+    }
+
+    /**
+     * Append XMP chunk to a WebP, converting simple VP8/VP8L files to extended format
+     */
+    function embedWebpMetadata(bytes, metadata) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunkType = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        let body = bytes.subarray(12);
         
-        if (referenceImages.length > 0) {
-            body.image = `data:image/png;base64,${referenceImages[0]}`;
+        const firstType = chunkType(12);
+        if (firstType === 'VP8 ' || firstType === 'VP8L') {
+            const data = 20;
+            let width, height, alpha = false;
+            if (firstType === 'VP8 ') {
+                width = view.getUint16(data + 6, true) & 0x3FFF;
+                height = view.getUint16(data + 8, true) & 0x3FFF;
+            } else {
+                const bits = view.getUint32(data + 1, true);
+                width = (bits & 0x3FFF) + 1;
+                height = ((bits >>> 14) & 0x3FFF) + 1;
+                alpha = Boolean((bits >>> 28) & 1);
+            }
+            
+            const vp8x = new Uint8Array(18);
+            vp8x.set(new TextEncoder().encode('VP8X'));
+            vp8x[4] = 10;
+            vp8x[8] = alpha ? 0x10 : 0;
+            vp8x.set([(width - 1) & 0xFF, ((width - 1) >> 8) & 0xFF, ((width - 1) >> 16) & 0xFF], 12);
+            vp8x.set([(height - 1) & 0xFF, ((height - 1) >> 8) & 0xFF, ((height - 1) >> 16) & 0xFF], 15);
+            body = concatBytes([vp8x, body]);
+        } else if (firstType !== 'VP8X') {
+            return null;
         }
         
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${settings.apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(body)
-        });
-        
-        if (!response.ok) {
-            const text = await response.text();
-            throw new Error(`API Error (${response.status}): ${text}`);
-        }
+        // XMP flag of VP8X
+        body = body.slice();
+        body[8] |= 0x04;
         
-        const result = await response.json();
-        const dataList = result.data || [];
+        const payload = new TextEncoder().encode(buildXmpPacket(metadata));
+        const chunk = new Uint8Array(8 + payload.length + (payload.length & 1));
+        chunk.set(new TextEncoder().encode('XMP '));
+        new DataView(chunk.buffer).setUint32(4, payload.length, true);
+        chunk.set(payload, 8);
         
-        if (dataList.length > 0) {
-            const imageObj = dataList[0];
-            if (imageObj.b64_json) {
-                return `data:image/png;base64,${imageObj.b64_json}`;
-            }
-            return imageObj.url;
+        const header = bytes.slice(0, 12);
+        new DataView(header.buffer).setUint32(4, 4 + body.length + chunk.length, true);
+        return concatBytes([header, body, chunk]);
+    }
+
+    /**
+     * Embed metadata into image bytes; null when the format can't hold it
+     */
+    function embedImageMetadata(bytes, format, metadata) {
+        try {
+            if (format === 'png') return embedPngMetadata(bytes, metadata);
+            if (format === 'jpeg' || format === 'jpg') return embedJpegMetadata(bytes, metadata);
+            if (format === 'webp') return embedWebpMetadata(bytes, metadata);
+        } catch (error) {
+            iigLog('WARN', `Failed to embed metadata into ${format}: ${error.message}`);
         }
-        
-        if (result.url) return result.url;
-        
-        throw new Error('No image data in response');
+        return null;
     }
 
     /**
-     * Generate image via Gemini-compatible endpoint (nano-banana)
+     * Parse A1111-style "parameters" text (prompt, negative prompt, seed)
      */
-    async function generateImageGemini(prompt, style, referenceImages = [], options = {}) {
-        const settings = getSettings();
-        const model = settings.model;
+    function parseSdParameters(text) {
+        const [promptPart, ...rest] = text.split('\nNegative prompt:');
+        const tail = rest.join('\nNegative prompt:');
+        const stepsIndex = tail.search(/\nSteps:/);
+        const seed = (stepsIndex === -1 ? text : tail.substring(stepsIndex)).match(/Seed:\s*(\d+)/);
         
-        const url = `${settings.endpoint.replace(/\/$/, '')}/v1beta/models/${model}:generateContent?key=${settings.apiKey}`;
+        return {
+            prompt: (rest.length ? promptPart : promptPart.split(/\nSteps:/)[0]).trim(),
+            negative_prompt: rest.length ? (stepsIndex === -1 ? tail : tail.substring(0, stepsIndex)).trim() : null,
+            seed: seed ? Number(seed[1]) : null,
+            model: text.match(/Model:\s*([^,\n]+)/)?.[1].trim() || null,
+        };
+    }
+
+    /**
+     * Read generation metadata from image bytes (PNG text chunks, JPEG/WebP XMP), null if absent
+     */
+    function readImageMetadata(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+        const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
         
-        let aspectRatio = options.aspectRatio || settings.aspectRatio || '1:1';
-        if (!VALID_ASPECT_RATIOS.includes(aspectRatio)) {
-            aspectRatio = VALID_ASPECT_RATIOS.includes(settings.aspectRatio) ? settings.aspectRatio : '1:1';
+        // PNG
+        if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') {
+            let sdParameters = null;
+            for (let offset = 8; offset + 8 <= bytes.length;) {
+                const length = view.getUint32(offset);
+                const type = ascii(offset + 4, offset + 8);
+                const data = bytes.subarray(offset + 8, offset + 8 + length);
+                const isText = type === 'tEXt' || type === 'iTXt';
+                const keywordEnd = isText ? data.indexOf(0) : -1;
+                const keyword = keywordEnd === -1 ? '' : ascii(offset + 8, offset + 8 + keywordEnd);
+                
+                if (type === 'iTXt' && keyword === METADATA_KEY && data[keywordEnd + 1] === 0) {
+                    // Skip compression flag/method, language tag and translated keyword
+                    let textStart = data.indexOf(0, keywordEnd + 3);
+                    textStart = data.indexOf(0, textStart + 1) + 1;
+                    return JSON.parse(decoder.decode(data.subarray(textStart)));
+                }
+                if (type === 'tEXt' && keyword === METADATA_KEY) {
+                    return JSON.parse(decoder.decode(data.subarray(keywordEnd + 1)));
+                }
+                if (isText && keyword === 'parameters') {
+                    const text = data.subarray(type === 'tEXt' ? keywordEnd + 1 : data.indexOf(0, data.indexOf(0, keywordEnd + 3) + 1) + 1);
+                    sdParameters = parseSdParameters(decoder.decode(text));
+                }
+                if (type === 'IEND') break;
+                offset += 12 + length;
+            }
+            return sdParameters;
         }
         
-        let imageSize = options.imageSize || settings.imageSize || '1K';
-        if (!VALID_IMAGE_SIZES.includes(imageSize)) {
-            imageSize = VALID_IMAGE_SIZES.includes(settings.imageSize) ? settings.imageSize : '1K';
+        // JPEG
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            for (let offset = 2; offset + 4 <= bytes.length && bytes[offset] === 0xFF;) {
+                const marker = bytes[offset + 1];
+                const length = view.getUint16(offset + 2);
+                if (marker === 0xDA) break;
+                
+                const header = ascii(offset + 4, offset + 4 + XMP_HEADER.length);
+                if (marker === 0xE1 && header === XMP_HEADER) {
+                    const metadata = parseXmpPacket(decoder.decode(bytes.subarray(offset + 4 + XMP_HEADER.length, offset + 2 + length)));
+                    if (metadata) return metadata;
+                }
+                offset += 2 + length;
+            }
+            return null;
         }
         
-        iigLog('INFO', `Using aspect ratio: ${aspectRatio}, image size: ${imageSize}`);
-        
-        const parts = [];
-        
-        for (const imgB64 of referenceImages.slice(0, 4)) {
-            parts.push({
-                inlineData: {
-                    mimeType: 'image/png',
-                    data: imgB64
+        // WebP
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+            for (let offset = 12; offset + 8 <= bytes.length;) {
+                const type = ascii(offset, offset + 4);
+                const length = view.getUint32(offset + 4, true);
+                if (type === 'XMP ') {
+                    return parseXmpPacket(decoder.decode(bytes.subarray(offset + 8, offset + 8 + length)));
                 }
-            });
+                offset += 8 + length + (length & 1);
+            }
         }
         
-        let fullPrompt = style ? `[Style: ${style}] ${prompt}` : prompt;
+        return null;
+    }
+
+    /**
+     * Get path of the JSON sidecar used for images whose format can't hold metadata
+     */
+    function getMetadataSidecarName(imagePath) {
+        return `${getImageFileName(imagePath).replace(/[^\w.-]/g, '_')}.json`;
+    }
+
+    /**
+     * Save metadata as JSON sidecar in user files
+     */
+    async function saveMetadataSidecar(imagePath, metadata) {
+        const context = SillyTavern.getContext();
+        const response = await fetch('/api/files/upload', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({
+                name: getMetadataSidecarName(imagePath),
+                data: bytesToBase64(new TextEncoder().encode(JSON.stringify(metadata, null, 2)))
+            })
+        });
         
-        // --- FIX: Force aspect ratio in text prompt ---
-        if (RATIO_PROMPTS[aspectRatio]) {
-            fullPrompt = RATIO_PROMPTS[aspectRatio] + fullPrompt;
-            iigLog('INFO', `Injected ratio prompt: ${RATIO_PROMPTS[aspectRatio]}`);
+        if (!response.ok) {
+            throw new Error(`Sidecar upload failed: ${response.status}`);
         }
-        // ----------------------------------------------
+    }
+
+    /**
+     * Convert image URL to base64
+     */
+    async function imageUrlToBase64(url) {
+        try {
+            const response = await fetch(url);
+            const blob = await response.blob();
+            const result = await blobToDataUrl(blob);
+            return result.includes(',') ? result.split(',')[1] : result;
+        } catch (error) {
+            iigLog('WARN', `Failed to convert image to base64 (CORS?): ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Save base64 image to file via SillyTavern API, embedding generation metadata when given
+     */
+    async function saveImageToFile(dataUrl, filename = null, metadata = null) {
+        const context = SillyTavern.getContext();
         
-        if (referenceImages.length > 0) {
-            const refInstruction = `[CRITICAL: The reference image(s) above show the EXACT appearance of the character(s). Copy their visual features precisely.]`;
-            fullPrompt = `${refInstruction}\n\n${fullPrompt}`;
+        if (!dataUrl.startsWith('data:image')) {
+             dataUrl = `data:image/jpeg;base64,${dataUrl}`;
+        }
+
+        const match = dataUrl.match(/^data:image\/(\w+);base64,(.+)$/);
+        if (!match) {
+            throw new Error('Invalid data URL format');
         }
         
-        parts.push({ text: fullPrompt });
+        const format = match[1]; 
+        let base64Data = match[2];
         
-        const body = {
-            contents: [{
-                role: 'user',
-                parts: parts
-            }],
-            generationConfig: {
-                responseModalities: ['TEXT', 'IMAGE'],
-                imageConfig: {
-                    aspectRatio: aspectRatio,
-                    imageSize: imageSize
-                }
+        let needsSidecar = false;
+        if (metadata) {
+            const embedded = embedImageMetadata(base64ToBytes(base64Data), format, metadata);
+            if (embedded) {
+                base64Data = bytesToBase64(embedded);
+            } else {
+                needsSidecar = true;
             }
-        };
+        }
+        
+        let charName = 'generated';
+        if (context.characterId !== undefined && context.characters?.[context.characterId]) {
+            charName = context.characters[context.characterId].name || 'generated';
+        }
         
-        iigLog('INFO', `Gemini request: model=${model}, refs=${referenceImages.length}`);
+        if (!filename) {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            filename = `iig_${timestamp}`;
+        }
         
-        const response = await fetch(url, {
+        const response = await fetch('/api/images/upload', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(body)
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({
+                image: base64Data,
+                format: format,
+                ch_name: charName,
+                filename: filename
+            })
         });
         
         if (!response.ok) {
-            const text = await response.text();
-            throw new Error(`API Error (${response.status}): ${text}`);
+            const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+            throw new Error(error.error || `Upload failed: ${response.status}`);
         }
         
         const result = await response.json();
-        console.log('[IIG] Gemini Raw Response:', result);
+        console.log('[IIG] Image saved to:', result.path);
         
-        const candidates = result.candidates || [];
-        if (candidates.length === 0) {
-            if (result.promptFeedback && result.promptFeedback.blockReason) {
-                throw new Error(`Блокировка промпта (Safety): ${result.promptFeedback.blockReason}`);
+        if (needsSidecar) {
+            try {
+                await saveMetadataSidecar(result.path, metadata);
+            } catch (error) {
+                iigLog('WARN', `Failed to save metadata sidecar for ${result.path}: ${error.message}`);
             }
-            throw new Error('Пустой ответ от модели.');
         }
+        return result.path;
+    }
 
-        const responseParts = candidates[0].content?.parts || [];
-        
-        // 1. Ищем картинку в inlineData (base64)
-        for (const part of responseParts) {
-            if (part.inlineData) {
-                return `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`;
+    /**
+     * Get character avatar as base64 (current character unless a specific one is given)
+     */
+    async function getCharacterAvatarBase64(character = null) {
+        try {
+            const context = SillyTavern.getContext();
+            
+            if (character?.avatar) {
+                return await imageUrlToBase64(`/characters/${encodeURIComponent(character.avatar)}`);
             }
-            if (part.inline_data) {
-                return `data:${part.inline_data.mime_type};base64,${part.inline_data.data}`;
+            
+            if (context.characterId === undefined || context.characterId === null) {
+                return null;
             }
-        }
-
-        // 2. Ищем ССЫЛКУ на картинку в тексте
-        const textPart = responseParts.find(p => p.text);
-        if (textPart) {
-            const text = textPart.text;
-            const imgMatch = text.match(/!\[.*?\]\((.*?)\)/) || text.match(/(https?:\/\/[^\s)]+)/);
             
-            if (imgMatch) {
-                const imgUrl = imgMatch[1];
-                iigLog('INFO', `Found image URL: ${imgUrl}`);
-                
-                // Пытаемся скачать
-                const base64 = await imageUrlToBase64(imgUrl);
-                if (base64) {
-                     return `data:image/jpeg;base64,${base64}`;
-                } else {
-                     // Если скачать не вышло, возвращаем URL как есть
-                     iigLog('WARN', 'Returning remote URL directly');
-                     return imgUrl;
+            if (typeof context.getCharacterAvatar === 'function') {
+                const avatarUrl = context.getCharacterAvatar(context.characterId);
+                if (avatarUrl) {
+                    return await imageUrlToBase64(avatarUrl);
                 }
             }
             
-            // Если ссылки нет, значит отказ
-            const finishReason = candidates[0].finishReason;
-            if (finishReason && finishReason !== 'STOP') {
-                 throw new Error(`Отказ генерации (${finishReason}): "${text.substring(0, 100)}..."`);
+            const currentCharacter = context.characters?.[context.characterId];
+            if (currentCharacter?.avatar) {
+                const avatarUrl = `/characters/${encodeURIComponent(currentCharacter.avatar)}`;
+                return await imageUrlToBase64(avatarUrl);
             }
-            throw new Error(`Модель ответила текстом без картинки: "${text.substring(0, 100)}..."`);
+            
+            return null;
+        } catch (error) {
+            console.error('[IIG] Error getting character avatar:', error);
+            return null;
         }
-        
-        throw new Error('В ответе нет ни картинки, ни текста.');
     }
 
     /**
-     * Generate image with retry logic
+     * Get user avatar as base64
      */
-    async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {}) {
-        validateSettings();
-        
-        const settings = getSettings();
-        const maxRetries = settings.maxRetries;
-        const baseDelay = settings.retryDelay;
+    async function getUserAvatarBase64(profile) {
+        try {
+            if (!profile.userAvatarFile) {
+                return null;
+            }
+            
+            const avatarUrl = `/User Avatars/${encodeURIComponent(profile.userAvatarFile)}`;
+            return await imageUrlToBase64(avatarUrl);
+        } catch (error) {
+            console.error('[IIG] Error getting user avatar:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get reference library of a character (stored in the character card)
+     */
+    function getCharacterRefs(character) {
+        return character?.data?.extensions?.[MODULE_NAME]?.refs || [];
+    }
+
+    /**
+     * Save reference library into the character card
+     */
+    async function saveCharacterRefs(character, refs) {
+        const context = SillyTavern.getContext();
+        const characterId = context.characters.indexOf(character);
+        if (characterId === -1) return;
         
+        const extensionData = character.data?.extensions?.[MODULE_NAME] || {};
+        await context.writeExtensionField(characterId, MODULE_NAME, { ...extensionData, refs });
+    }
+
+    /**
+     * Collect reference images for a generation.
+     * Tag "refs" field picks them explicitly ("char", "char:<name>", "user"), otherwise profile avatar checkboxes apply
+     */
+    async function collectReferenceImages(profile, refs, messageId) {
+        const context = SillyTavern.getContext();
+        const message = messageId !== undefined ? context.chat?.[messageId] : null;
+        const character = getMessageCharacter(message);
         const referenceImages = [];
         
-        if (settings.apiType === 'gemini' || isGeminiModel(settings.model)) {
-            if (settings.sendCharAvatar) {
-                console.log('[IIG] Fetching character avatar...');
-                const charAvatar = await getCharacterAvatarBase64();
+        if (!Array.isArray(refs)) {
+            if (profile.sendCharAvatar) {
+                iigLog('DEBUG', 'Fetching character avatar...');
+                const charAvatar = await getCharacterAvatarBase64(character);
                 if (charAvatar) referenceImages.push(charAvatar);
             }
             
-            if (settings.sendUserAvatar) {
-                console.log('[IIG] Fetching user avatar...');
-                const userAvatar = await getUserAvatarBase64();
+            if (profile.sendUserAvatar) {
+                iigLog('DEBUG', 'Fetching user avatar...');
+                const userAvatar = await getUserAvatarBase64(profile);
                 if (userAvatar) referenceImages.push(userAvatar);
             }
+            
+            return referenceImages;
         }
         
-        let lastError;
+        if (refs.length > MAX_REFERENCE_IMAGES) {
+            iigLog('WARN', `Tag requests ${refs.length} refs, only first ${MAX_REFERENCE_IMAGES} are sent`);
+        }
         
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            try {
-                onStatusUpdate?.(`Генерация${attempt > 0 ? ` (повтор ${attempt}/${maxRetries})` : ''}...`);
-                
-                if (settings.apiType === 'gemini' || isGeminiModel(settings.model)) {
-                    return await generateImageGemini(prompt, style, referenceImages, options);
+        for (const ref of refs.slice(0, MAX_REFERENCE_IMAGES)) {
+            let image = null;
+            
+            if (ref === 'char') {
+                image = await getCharacterAvatarBase64(character);
+            } else if (ref === 'user') {
+                image = await getUserAvatarBase64(profile);
+            } else if (typeof ref === 'string' && ref.startsWith('char:')) {
+                const name = ref.substring('char:'.length);
+                const entry = getCharacterRefs(character).find(r => r.name === name);
+                if (entry) {
+                    image = await imageUrlToBase64(entry.path);
                 } else {
-                    return await generateImageOpenAI(prompt, style, referenceImages, options);
+                    iigLog('WARN', `Reference "${name}" not found in library of ${character?.name || 'no character'}`);
                 }
-            } catch (error) {
-                lastError = error;
-                console.error(`[IIG] Generation attempt ${attempt + 1} failed:`, error);
-                
-                const isRetryable = error.message?.includes('429') ||
-                                   error.message?.includes('503') ||
-                                   error.message?.includes('502') ||
-                                   error.message?.includes('network');
-                
-                if (!isRetryable || attempt === maxRetries) {
-                    break;
-                }
-                
-                const delay = baseDelay * Math.pow(2, attempt);
-                onStatusUpdate?.(`Повтор через ${delay / 1000}с...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
+            } else {
+                iigLog('WARN', `Unknown reference: ${ref}`);
             }
+            
+            if (image) referenceImages.push(image);
         }
         
-        throw lastError;
+        iigLog('INFO', `Tag refs: ${refs.join(', ')} -> ${referenceImages.length} images`);
+        return referenceImages;
     }
 
     /**
-     * Check if a file exists on the server
+     * Find style preset for a tag style: preset with the same name, else the chat default
      */
-    async function checkFileExists(path) {
-        try {
-            const response = await fetch(path, { method: 'HEAD' });
-            return response.ok;
-        } catch (e) {
-            return false;
+    function resolveStylePreset(style) {
+        const presets = getSettings().stylePresets;
+        const name = (style || '').trim().toLowerCase();
+        
+        if (name) {
+            const preset = Object.values(presets).find(p => p.name.trim().toLowerCase() === name);
+            if (preset) return preset;
         }
+        
+        return presets[getChatMetadata().defaultStyle] || null;
     }
 
     /**
-     * Parse image generation tags from message text
+     * Expand tag style into preset prefix/suffix, negative prompt and forced ratio/size
      */
-    async function parseImageTags(text, options = {}) {
-        const { checkExistence = false, forceAll = false } = options;
-        const tags = [];
+    function expandStylePreset(prompt, style, options) {
+        const preset = resolveStylePreset(style);
+        if (!preset) {
+            return { prompt, style, options };
+        }
         
-        // NEW FORMAT
-        const imgTagMarker = 'data-iig-instruction=';
-        let searchPos = 0;
+        iigLog('INFO', `Style "${style}" expanded with preset "${preset.name}"`);
+        return {
+            prompt: [preset.prefix, prompt, preset.suffix].map(p => p?.trim()).filter(Boolean).join(', '),
+            style: '',
+            options: {
+                ...options,
+                styleName: style || preset.name,
+                negativePrompt: [options.negativePrompt, preset.negative].filter(Boolean).join(', ') || null,
+                aspectRatio: preset.aspectRatio || options.aspectRatio,
+                imageSize: preset.imageSize || options.imageSize,
+            },
+        };
+    }
+
+    /**
+     * Pick seed for a generation: tag seed, chat-locked seed, profile seed (SD/ComfyUI), else random.
+     * Returns null for backends without seed support
+     */
+    function resolveSeed(profile, backend, seed) {
+        const lockedSeed = parseSeed(getChatMetadata().lockedSeed);
+        const requested = seed ?? lockedSeed;
         
-        while (true) {
-            const markerPos = text.indexOf(imgTagMarker, searchPos);
-            if (markerPos === -1) break;
-            
-            let imgStart = text.lastIndexOf('<img', markerPos);
-            if (imgStart === -1 || markerPos - imgStart > 500) {
-                searchPos = markerPos + 1;
-                continue;
-            }
-            
-            const afterMarker = markerPos + imgTagMarker.length;
-            let jsonStart = text.indexOf('{', afterMarker);
-            if (jsonStart === -1 || jsonStart > afterMarker + 10) {
-                searchPos = markerPos + 1;
-                continue;
-            }
-            
-            let braceCount = 0;
-            let jsonEnd = -1;
-            let inString = false;
-            let escapeNext = false;
-            
-            for (let i = jsonStart; i < text.length; i++) {
-                const char = text[i];
-                if (escapeNext) { escapeNext = false; continue; }
-                if (char === '\\' && inString) { escapeNext = true; continue; }
-                if (char === '"') { inString = !inString; continue; }
-                if (!inString) {
-                    if (char === '{') braceCount++;
-                    else if (char === '}') {
-                        braceCount--;
-                        if (braceCount === 0) { jsonEnd = i + 1; break; }
-                    }
-                }
-            }
-            
-            if (jsonEnd === -1) { searchPos = markerPos + 1; continue; }
-            
-            let imgEnd = text.indexOf('>', jsonEnd);
-            if (imgEnd === -1) { searchPos = markerPos + 1; continue; }
-            imgEnd++;
-            
-            const fullImgTag = text.substring(imgStart, imgEnd);
-            const instructionJson = text.substring(jsonStart, jsonEnd);
-            const srcMatch = fullImgTag.match(/src\s*=\s*["']?([^"'\s>]+)/i);
-            const srcValue = srcMatch ? srcMatch[1] : '';
-            
-            let needsGeneration = false;
-            const hasMarker = srcValue.includes('[IMG:GEN]') || srcValue.includes('[IMG:');
-            const hasErrorImage = srcValue.includes('error.svg');
-            const hasPath = srcValue && srcValue.startsWith('/') && srcValue.length > 5;
-            
-            if (hasErrorImage && !forceAll) {
-                searchPos = imgEnd;
-                continue;
-            }
-            
-            if (forceAll) {
-                needsGeneration = true;
-            } else if (hasMarker || !srcValue) {
-                needsGeneration = true;
-            } else if (hasPath && checkExistence) {
-                const exists = await checkFileExists(srcValue);
-                if (!exists) needsGeneration = true;
-            } else if (hasPath) {
-                searchPos = imgEnd;
-                continue;
-            }
-            
-            if (!needsGeneration) {
-                searchPos = imgEnd;
-                continue;
-            }
-            
-            try {
-                let normalizedJson = instructionJson
-                    .replace(/&quot;/g, '"')
-                    .replace(/&apos;/g, "'")
-                    .replace(/&#39;/g, "'")
-                    .replace(/&#34;/g, '"')
-                    .replace(/&amp;/g, '&');
-                
-                const data = JSON.parse(normalizedJson);
-                
-                tags.push({
-                    fullMatch: fullImgTag,
-                    index: imgStart,
-                    style: data.style || '',
-                    prompt: data.prompt || '',
-                    aspectRatio: data.aspect_ratio || data.aspectRatio || null,
-                    imageSize: data.image_size || data.imageSize || null,
-                    quality: data.quality || null,
-                    isNewFormat: true,
-                    existingSrc: hasPath ? srcValue : null
-                });
-            } catch (e) {
-                iigLog('WARN', `Failed to parse instruction JSON`, e.message);
+        if (backend === 'openai') {
+            if (requested !== null) {
+                iigLog('WARN', `OpenAI-compatible API has no seed, ${requested} ignored`);
             }
-            
-            searchPos = imgEnd;
+            return null;
         }
         
-        // LEGACY FORMAT
-        const marker = '[IMG:GEN:';
-        let searchStart = 0;
+        if (requested !== null) return requested;
         
-        while (true) {
-            const markerIndex = text.indexOf(marker, searchStart);
-            if (markerIndex === -1) break;
-            
-            const jsonStart = markerIndex + marker.length;
-            let braceCount = 0;
-            let jsonEnd = -1;
-            let inString = false;
-            let escapeNext = false;
-            
-            for (let i = jsonStart; i < text.length; i++) {
-                const char = text[i];
-                if (escapeNext) { escapeNext = false; continue; }
-                if (char === '\\' && inString) { escapeNext = true; continue; }
-                if (char === '"') { inString = !inString; continue; }
-                if (!inString) {
-                    if (char === '{') braceCount++;
-                    else if (char === '}') {
-                        braceCount--;
-                        if (braceCount === 0) { jsonEnd = i + 1; break; }
-                    }
-                }
-            }
-            
-            if (jsonEnd === -1) { searchStart = jsonStart; continue; }
-            
-            const jsonStr = text.substring(jsonStart, jsonEnd);
-            const afterJson = text.substring(jsonEnd);
-            if (!afterJson.startsWith(']')) { searchStart = jsonEnd; continue; }
-            
-            const tagOnly = text.substring(markerIndex, jsonEnd + 1);
-            
-            try {
-                const normalizedJson = jsonStr.replace(/'/g, '"');
-                const data = JSON.parse(normalizedJson);
-                
-                tags.push({
-                    fullMatch: tagOnly,
-                    index: markerIndex,
-                    style: data.style || '',
-                    prompt: data.prompt || '',
-                    aspectRatio: data.aspect_ratio || data.aspectRatio || null,
-                    imageSize: data.image_size || data.imageSize || null,
-                    quality: data.quality || null,
-                    isNewFormat: false
-                });
-            } catch (e) {
-                iigLog('WARN', `Failed to parse legacy tag JSON`, e.message);
-            }
-            
-            searchStart = jsonEnd + 1;
-        }
+        const profileSeed = backend === 'sd' ? Number(profile.sdSeed) : backend === 'comfy' ? Number(profile.comfySeed) : -1;
+        if (profileSeed >= 0) return profileSeed;
         
-        return tags;
+        // Gemini takes int32 seeds
+        return Math.floor(Math.random() * 2 ** 31);
     }
 
     /**
-     * Create loading placeholder element
+     * Validate settings before generation
      */
-    function createLoadingPlaceholder(tagId) {
-        const placeholder = document.createElement('div');
-        placeholder.className = 'iig-loading-placeholder';
-        placeholder.dataset.tagId = tagId;
-        placeholder.innerHTML = `
-            <div class="iig-spinner"></div>
-            <div class="iig-status">Генерация картинки...</div>
-        `;
-        return placeholder;
+    function validateSettings(profile) {
+        const errors = [];
+        
+        if (!profile.endpoint) errors.push('URL эндпоинта не настроен');
+        if (profile.apiType === 'comfy') {
+            if (Object.keys(getSettings().comfyWorkflows).length === 0) errors.push('Нет воркфлоу ComfyUI');
+        } else if (profile.apiType !== 'sd') {
+            if (!profile.apiKey) errors.push('API ключ не настроен');
+            if (!profile.model) errors.push('Модель не выбрана');
+        }
+        
+        if (errors.length > 0) {
+            throw createGenerationError(`Ошибка настроек: ${errors.join(', ')}`, 'config');
+        }
     }
 
-    // Error image path
-    const ERROR_IMAGE_PATH = '/scripts/extensions/third-party/sillyimages/error.svg';
+    /**
+     * Build error for a generation that ended without an image (or was not sent); kind is its failure class
+     */
+    function createGenerationError(message, kind) {
+        const error = new Error(message);
+        error.name = 'GenerationError';
+        error.kind = kind;
+        return error;
+    }
 
     /**
-     * Create error placeholder element
+     * Get failure class of an error: network, server, quota, safety, text_only, config, usage_limit or other
      */
-    function createErrorPlaceholder(tagId, errorMessage, tagInfo) {
-        const img = document.createElement('img');
-        img.className = 'iig-error-image';
-        img.src = ERROR_IMAGE_PATH;
-        img.alt = 'Ошибка генерации';
-        img.title = `Ошибка: ${errorMessage}`;
-        img.dataset.tagId = tagId;
-        
-        if (tagInfo.fullMatch) {
-            const instructionMatch = tagInfo.fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
-            if (instructionMatch) {
-                img.setAttribute('data-iig-instruction', instructionMatch[2]);
-            }
+    function classifyFailure(error) {
+        if (error?.name === 'GenerationError') return error.kind;
+        if (error?.name === 'HttpError') {
+            if (/content_policy|safety|moderation/i.test(error.body)) return 'safety';
+            if (error.status === 429 || error.status === 402 || /quota|RESOURCE_EXHAUSTED|insufficient/i.test(error.body)) return 'quota';
+            return error.status >= 500 ? 'server' : 'other';
         }
-        return img;
+        return isRetryableError(error) ? 'network' : 'other';
     }
 
     /**
-     * Process image tags in a message
+     * Generate image via OpenAI-compatible endpoint
      */
-    async function processMessageTags(messageId) {
-        const context = SillyTavern.getContext();
-        const settings = getSettings();
+    async function generateImageOpenAI(profile, prompt, style, referenceImages = [], options = {}) {
+        let url = profile.endpoint;
+        if (!url.includes('/images/generations')) {
+            url = `${profile.endpoint.replace(/\/$/, '')}/v1/images/generations`;
+        }
         
-        if (!settings.enabled) return;
+        const fullPrompt = style ? `[Style: ${style}] ${prompt}` : prompt;
         
-        if (processingMessages.has(messageId)) return;
+        if (options.negativePrompt) {
+            iigLog('WARN', 'OpenAI-compatible API has no negative prompt, ignored');
+        }
         
-        const message = context.chat[messageId];
-        if (!message || message.is_user) return;
+        let size = profile.size;
+        if (options.aspectRatio) {
+            if (options.aspectRatio === '16:9') size = '1792x1024';
+            else if (options.aspectRatio === '9:16') size = '1024x1792';
+            else if (options.aspectRatio === '1:1') size = '1024x1024';
+        }
         
-        const tags = await parseImageTags(message.mes, { checkExistence: true });
-        if (tags.length === 0) return;
+        const body = {
+            model: profile.model,
+            prompt: fullPrompt,
+            n: 1,
+            size: size,
+            quality: options.quality || profile.quality,
+            response_format: 'b64_json'
+        };
         
-        processingMessages.add(messageId);
-        toastr.info(`Найдено тегов: ${tags.length}. Генерация...`, 'Генерация картинок', { timeOut: 3000 });
+        if (referenceImages.length > 0) {
+            body.image = `data:image/png;base64,${referenceImages[0]}`;
+        }
         
-        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
-        if (!messageElement) {
-            toastr.error('Не удалось найти элемент сообщения', 'Генерация картинок');
-            return;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${profile.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+        
+        if (!response.ok) {
+            throw await createHttpError(response);
         }
         
-        const mesTextEl = messageElement.querySelector('.mes_text');
-        if (!mesTextEl) return;
+        const result = await response.json();
+        const dataList = result.data || [];
         
-        const processTag = async (tag, index) => {
-            const tagId = `iig-${messageId}-${index}`;
-            const loadingPlaceholder = createLoadingPlaceholder(tagId);
-            let targetElement = null;
-            
-            if (tag.isNewFormat) {
-                const allImgs = mesTextEl.querySelectorAll('img[data-iig-instruction]');
-                const searchPrompt = tag.prompt.substring(0, 30);
-                
-                for (const img of allImgs) {
-                    const instruction = img.getAttribute('data-iig-instruction');
-                    if (instruction && instruction.includes(searchPrompt)) {
-                        targetElement = img;
-                        break;
-                    }
-                }
-                
-                if (!targetElement) {
-                    const allImgsBroad = mesTextEl.querySelectorAll('img');
-                    for (const img of allImgsBroad) {
-                        const src = img.getAttribute('src') || '';
-                        if (src.includes('[IMG:GEN]') || src.includes('[IMG:ERROR]')) {
-                            targetElement = img;
-                            break;
-                        }
-                    }
-                }
-            } else {
-                const tagEscaped = tag.fullMatch
-                    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                    .replace(/"/g, '(?:"|&quot;)');
-                const tagRegex = new RegExp(tagEscaped, 'g');
-                
-                mesTextEl.innerHTML = mesTextEl.innerHTML.replace(
-                    tagRegex,
-                    `<span data-iig-placeholder="${tagId}"></span>`
-                );
-                
-                targetElement = mesTextEl.querySelector(`[data-iig-placeholder="${tagId}"]`);
-            }
-            
-            if (targetElement) {
-                targetElement.replaceWith(loadingPlaceholder);
-            } else {
-                mesTextEl.appendChild(loadingPlaceholder);
-            }
-            
-            const statusEl = loadingPlaceholder.querySelector('.iig-status');
-            
-            try {
-                const dataUrl = await generateImageWithRetry(
-                    tag.prompt,
-                    tag.style,
-                    (status) => { statusEl.textContent = status; },
-                    { aspectRatio: tag.aspectRatio, imageSize: tag.imageSize, quality: tag.quality }
-                );
-                
-                let imagePath;
-                if (dataUrl.startsWith('http')) {
-                    imagePath = dataUrl;
-                } else {
-                    statusEl.textContent = 'Сохранение...';
-                    imagePath = await saveImageToFile(dataUrl);
-                }
-                
-                const img = document.createElement('img');
-                img.className = 'iig-generated-image';
-                img.src = imagePath;
-                img.alt = tag.prompt;
-                img.title = `Style: ${tag.style}\nPrompt: ${tag.prompt}`;
-                
-                if (tag.isNewFormat) {
-                    const instructionMatch = tag.fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
-                    if (instructionMatch) {
-                        img.setAttribute('data-iig-instruction', instructionMatch[2]);
-                    }
-                }
-                
-                loadingPlaceholder.replaceWith(img);
-                
-                if (tag.isNewFormat) {
-                    const updatedTag = tag.fullMatch.replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${imagePath}"`);
-                    message.mes = message.mes.replace(tag.fullMatch, updatedTag);
-                } else {
-                    const completionMarker = `[IMG:✓:${imagePath}]`;
-                    message.mes = message.mes.replace(tag.fullMatch, completionMarker);
-                }
-                
-                toastr.success(`Картинка ${index + 1}/${tags.length} готова`, 'Генерация картинок');
-            } catch (error) {
-                iigLog('ERROR', `Failed to generate image for tag ${index}:`, error.message);
-                
-                const errorPlaceholder = createErrorPlaceholder(tagId, error.message, tag);
-                loadingPlaceholder.replaceWith(errorPlaceholder);
-                
-                if (tag.isNewFormat) {
-                    const errorTag = tag.fullMatch.replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${ERROR_IMAGE_PATH}"`);
-                    message.mes = message.mes.replace(tag.fullMatch, errorTag);
-                } else {
-                    const errorMarker = `[IMG:ERROR:${error.message.substring(0, 50)}]`;
-                    message.mes = message.mes.replace(tag.fullMatch, errorMarker);
-                }
-                
-                toastr.error(`Ошибка генерации: ${error.message}`, 'Генерация картинок');
+        if (dataList.length > 0) {
+            const imageObj = dataList[0];
+            if (imageObj.b64_json) {
+                return `data:image/png;base64,${imageObj.b64_json}`;
             }
-        };
-        
-        try {
-            await Promise.all(tags.map((tag, index) => processTag(tag, index)));
-        } finally {
-            processingMessages.delete(messageId);
+            return imageObj.url;
         }
         
-        await context.saveChat();
+        if (result.url) return result.url;
+        
+        throw createGenerationError('No image data in response', 'text_only');
     }
 
     /**
-     * Regenerate all images in a message
+     * Generate image via Gemini-compatible endpoint (nano-banana)
      */
-    async function regenerateMessageImages(messageId) {
-        const context = SillyTavern.getContext();
-        const message = context.chat[messageId];
+    async function generateImageGemini(profile, prompt, style, referenceImages = [], options = {}) {
+        const model = profile.model;
         
-        if (!message) return;
+        const url = `${profile.endpoint.replace(/\/$/, '')}/v1beta/models/${model}:generateContent?key=${profile.apiKey}`;
         
-        const tags = await parseImageTags(message.mes, { forceAll: true });
+        let aspectRatio = options.aspectRatio || profile.aspectRatio || '1:1';
+        if (!VALID_ASPECT_RATIOS.includes(aspectRatio)) {
+            aspectRatio = VALID_ASPECT_RATIOS.includes(profile.aspectRatio) ? profile.aspectRatio : '1:1';
+        }
+        
+        let imageSize = options.imageSize || profile.imageSize || '1K';
+        if (!VALID_IMAGE_SIZES.includes(imageSize)) {
+            imageSize = VALID_IMAGE_SIZES.includes(profile.imageSize) ? profile.imageSize : '1K';
+        }
+        
+        iigLog('INFO', `Using aspect ratio: ${aspectRatio}, image size: ${imageSize}`);
+        
+        const parts = [];
+        
+        for (const imgB64 of referenceImages.slice(0, MAX_REFERENCE_IMAGES)) {
+            parts.push({
+                inlineData: {
+                    mimeType: 'image/png',
+                    data: imgB64
+                }
+            });
+        }
+        
+        let fullPrompt = style ? `[Style: ${style}] ${prompt}` : prompt;
+        
+        if (options.negativePrompt) {
+            iigLog('WARN', 'Gemini API has no negative prompt, ignored');
+        }
+        
+        // --- FIX: Force aspect ratio in text prompt ---
+        if (RATIO_PROMPTS[aspectRatio]) {
+            fullPrompt = RATIO_PROMPTS[aspectRatio] + fullPrompt;
+            iigLog('INFO', `Injected ratio prompt: ${RATIO_PROMPTS[aspectRatio]}`);
+        }
+        // ----------------------------------------------
+        
+        if (referenceImages.length > 0) {
+            const refInstruction = `[CRITICAL: The reference image(s) above show the EXACT appearance of the character(s). Copy their visual features precisely.]`;
+            fullPrompt = `${refInstruction}\n\n${fullPrompt}`;
+        }
+        
+        parts.push({ text: fullPrompt });
+        
+        const body = {
+            contents: [{
+                role: 'user',
+                parts: parts
+            }],
+            generationConfig: {
+                responseModalities: ['TEXT', 'IMAGE'],
+                imageConfig: {
+                    aspectRatio: aspectRatio,
+                    imageSize: imageSize
+                }
+            }
+        };
+        
+        if (options.seed !== null && options.seed !== undefined) {
+            body.generationConfig.seed = options.seed;
+        }
+        
+        iigLog('INFO', `Gemini request: model=${model}, refs=${referenceImages.length}, seed=${options.seed ?? 'none'}`);
+        
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+        
+        if (!response.ok) {
+            throw await createHttpError(response);
+        }
+        
+        const result = await response.json();
+        
+        const candidates = result.candidates || [];
+        // Only the outline: the body carries the image as base64
+        iigLog('DEBUG', `Gemini response: ${candidates.length} candidate(s), finishReason=${candidates[0]?.finishReason ?? 'none'}`);
+        if (candidates.length === 0) {
+            if (result.promptFeedback && result.promptFeedback.blockReason) {
+                throw createGenerationError(`Блокировка промпта (Safety): ${result.promptFeedback.blockReason}`, 'safety');
+            }
+            throw createGenerationError('Пустой ответ от модели.', 'text_only');
+        }
+
+        const responseParts = candidates[0].content?.parts || [];
+        
+        // 1. Ищем картинку в inlineData (base64)
+        for (const part of responseParts) {
+            if (part.inlineData) {
+                return `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`;
+            }
+            if (part.inline_data) {
+                return `data:${part.inline_data.mime_type};base64,${part.inline_data.data}`;
+            }
+        }
+
+        // 2. Ищем ССЫЛКУ на картинку в тексте
+        const textPart = responseParts.find(p => p.text);
+        if (textPart) {
+            const text = textPart.text;
+            const imgMatch = text.match(/!\[.*?\]\((.*?)\)/) || text.match(/(https?:\/\/[^\s)]+)/);
+            
+            if (imgMatch) {
+                const imgUrl = imgMatch[1];
+                iigLog('INFO', `Found image URL: ${imgUrl}`);
+                
+                // Пытаемся скачать
+                const base64 = await imageUrlToBase64(imgUrl);
+                if (base64) {
+                     return `data:image/jpeg;base64,${base64}`;
+                } else {
+                     // Если скачать не вышло, возвращаем URL как есть
+                     iigLog('WARN', 'Returning remote URL directly');
+                     return imgUrl;
+                }
+            }
+            
+            // Если ссылки нет, значит отказ
+            const finishReason = candidates[0].finishReason;
+            if (finishReason && finishReason !== 'STOP') {
+                 throw createGenerationError(`Отказ генерации (${finishReason}): "${text.substring(0, 100)}..."`, GEMINI_SAFETY_REASONS.includes(finishReason) ? 'safety' : 'text_only');
+            }
+            throw createGenerationError(`Модель ответила текстом без картинки: "${text.substring(0, 100)}..."`, 'text_only');
+        }
+        
+        const finishReason = candidates[0].finishReason;
+        if (GEMINI_SAFETY_REASONS.includes(finishReason)) {
+            throw createGenerationError(`Блокировка ответа (Safety): ${finishReason}`, 'safety');
+        }
+        throw createGenerationError('В ответе нет ни картинки, ни текста.', 'text_only');
+    }
+
+    /**
+     * Get width/height for an aspect ratio keeping roughly baseSize^2 pixels, rounded to 64
+     */
+    function getDimensionsForRatio(aspectRatio, baseSize) {
+        const [w, h] = (aspectRatio || '1:1').split(':').map(Number);
+        if (!w || !h) return { width: baseSize, height: baseSize };
+        
+        const area = baseSize * baseSize;
+        const width = Math.round(Math.sqrt(area * w / h) / 64) * 64;
+        const height = Math.round(Math.sqrt(area * h / w) / 64) * 64;
+        return { width, height };
+    }
+
+    /**
+     * Generate image via Stable Diffusion WebUI (Automatic1111 / Forge)
+     */
+    async function generateImageSD(profile, prompt, style, referenceImages = [], options = {}) {
+        let aspectRatio = options.aspectRatio || profile.aspectRatio || '1:1';
+        if (!VALID_ASPECT_RATIOS.includes(aspectRatio)) {
+            aspectRatio = VALID_ASPECT_RATIOS.includes(profile.aspectRatio) ? profile.aspectRatio : '1:1';
+        }
+        const { width, height } = getDimensionsForRatio(aspectRatio, Number(profile.sdBaseSize) || 1024);
+        
+        const body = {
+            prompt: style ? `${style}, ${prompt}` : prompt,
+            negative_prompt: [profile.sdNegativePrompt, options.negativePrompt].filter(Boolean).join(', '),
+            sampler_name: profile.sdSampler,
+            steps: Number(profile.sdSteps),
+            cfg_scale: Number(profile.sdCfgScale),
+            seed: options.seed ?? Number(profile.sdSeed),
+            width: width,
+            height: height,
+            batch_size: 1,
+            n_iter: 1,
+        };
+        
+        if (profile.model) {
+            body.override_settings = { sd_model_checkpoint: profile.model };
+        }
+        
+        let endpoint = 'sdapi/v1/txt2img';
+        
+        if (referenceImages.length > 0) {
+            if (profile.sdRefMode === 'controlnet') {
+                body.alwayson_scripts = {
+                    controlnet: {
+                        args: referenceImages.map(img => ({
+                            enabled: true,
+                            image: img,
+                            module: profile.sdControlNetModule,
+                            model: profile.sdControlNetModel,
+                            weight: Number(profile.sdControlNetWeight),
+                            resize_mode: 'Crop and Resize',
+                            pixel_perfect: true
+                        }))
+                    }
+                };
+            } else {
+                endpoint = 'sdapi/v1/img2img';
+                body.init_images = [referenceImages[0]];
+                body.denoising_strength = Number(profile.sdDenoisingStrength);
+            }
+        }
+        
+        iigLog('INFO', `SD request: ${endpoint}, ${width}x${height}, sampler=${body.sampler_name}, steps=${body.steps}, seed=${body.seed}, refs=${referenceImages.length}`);
+        
+        // Stop the local job too, otherwise WebUI keeps rendering after we abort
+        const interrupt = () => {
+            fetch(`${getSdBaseUrl(profile)}/sdapi/v1/interrupt`, { method: 'POST', headers: getSdHeaders(profile) }).catch(() => {});
+        };
+        options.signal?.addEventListener('abort', interrupt, { once: true });
+        
+        let response;
+        try {
+            response = await fetch(`${getSdBaseUrl(profile)}/${endpoint}`, {
+                method: 'POST',
+                headers: getSdHeaders(profile),
+                body: JSON.stringify(body),
+                signal: options.signal
+            });
+        } finally {
+            options.signal?.removeEventListener('abort', interrupt);
+        }
+        
+        if (!response.ok) {
+            throw await createHttpError(response);
+        }
+        
+        const result = await response.json();
+        const images = result.images || [];
+        
+        if (images.length === 0) {
+            throw createGenerationError('No image data in response', 'text_only');
+        }
+        
+        return `data:image/png;base64,${images[0]}`;
+    }
+
+    /**
+     * Pick ComfyUI workflow: one bound to the tag style, else the profile's workflow
+     */
+    function resolveComfyWorkflow(profile, style) {
+        const workflows = getSettings().comfyWorkflows;
+        
+        if (style) {
+            const styleLower = style.toLowerCase();
+            for (const workflow of Object.values(workflows)) {
+                const styles = (workflow.styles || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+                if (styles.includes(styleLower)) return workflow;
+            }
+        }
+        
+        return workflows[profile.comfyWorkflowId] || null;
+    }
+
+    /**
+     * Substitute %placeholders% in workflow graph. Whole-value numeric placeholders become numbers.
+     */
+    function fillComfyWorkflow(node, values) {
+        if (Array.isArray(node)) {
+            return node.map(item => fillComfyWorkflow(item, values));
+        }
+        if (node && typeof node === 'object') {
+            const result = {};
+            for (const [key, value] of Object.entries(node)) {
+                result[key] = fillComfyWorkflow(value, values);
+            }
+            return result;
+        }
+        if (typeof node === 'string') {
+            const whole = node.match(/^%(\w+)%$/);
+            if (whole && Object.hasOwn(values, whole[1])) {
+                return values[whole[1]];
+            }
+            return node.replace(/%(\w+)%/g, (match, name) => Object.hasOwn(values, name) ? String(values[name]) : match);
+        }
+        return node;
+    }
+
+    /**
+     * Upload reference image to ComfyUI input folder
+     */
+    async function uploadComfyImage(profile, base64, index, headers, signal) {
+        const form = new FormData();
+        form.append('image', base64ToBlob(base64), `iig_ref_${index + 1}.png`);
+        form.append('overwrite', 'true');
+        
+        const response = await fetch(`${getSdBaseUrl(profile)}/upload/image`, {
+            method: 'POST',
+            headers: headers,
+            body: form,
+            signal: signal
+        });
+        
+        if (!response.ok) {
+            throw await createHttpError(response, 'Upload Error');
+        }
+        
+        const result = await response.json();
+        return result.subfolder ? `${result.subfolder}/${result.name}` : result.name;
+    }
+
+    /**
+     * Wait until ComfyUI finishes a prompt. Progress comes over /ws, completion is confirmed via /history.
+     */
+    async function waitForComfyPrompt(profile, promptId, socket, headers, onStatusUpdate, signal) {
+        const baseUrl = getSdBaseUrl(profile);
+        const state = { error: null, wake: null };
+        
+        if (socket) {
+            socket.addEventListener('message', (event) => {
+                if (typeof event.data !== 'string') return;
+                
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (e) {
+                    return;
+                }
+                
+                const data = message.data || {};
+                if (message.type === 'status') {
+                    const remaining = data.status?.exec_info?.queue_remaining;
+                    if (remaining > 1) onStatusUpdate?.(`В очереди ComfyUI: ${remaining}`);
+                    return;
+                }
+                if (data.prompt_id && data.prompt_id !== promptId) return;
+                
+                if (message.type === 'progress') {
+                    onStatusUpdate?.(`Шаг ${data.value}/${data.max}`);
+                } else if (message.type === 'executing' && data.node === null) {
+                    state.wake?.();
+                } else if (message.type === 'execution_error') {
+                    state.error = data.exception_message || 'execution_error';
+                    state.wake?.();
+                }
+            });
+        }
+        
+        while (true) {
+            signal?.throwIfAborted();
+            if (state.error) {
+                throw new Error(`ComfyUI Error: ${state.error}`);
+            }
+            
+            const response = await fetch(`${baseUrl}/history/${promptId}`, { headers, signal });
+            if (response.ok) {
+                const history = await response.json();
+                const entry = history[promptId];
+                if (entry) {
+                    if (entry.status?.status_str === 'error') {
+                        throw new Error('ComfyUI Error: выполнение воркфлоу завершилось ошибкой');
+                    }
+                    if (entry.status?.completed !== false) {
+                        return entry.outputs || {};
+                    }
+                }
+            }
+            
+            let timer = null;
+            let wake = null;
+            await new Promise(resolve => {
+                wake = resolve;
+                state.wake = resolve;
+                signal?.addEventListener('abort', resolve, { once: true });
+                timer = setTimeout(resolve, socket?.readyState === WebSocket.OPEN ? 5000 : 1500);
+            });
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', wake);
+        }
+    }
+
+    /**
+     * Generate image via ComfyUI using a templated API-format workflow
+     */
+    async function generateImageComfy(profile, prompt, style, referenceImages = [], options = {}) {
+        const workflow = resolveComfyWorkflow(profile, options.styleName || style);
+        if (!workflow) {
+            throw createGenerationError('Воркфлоу ComfyUI не выбран', 'config');
+        }
+        
+        let graph;
+        try {
+            graph = JSON.parse(workflow.json);
+        } catch (e) {
+            throw createGenerationError(`Воркфлоу «${workflow.name}» содержит некорректный JSON: ${e.message}`, 'config');
+        }
+        
+        const baseUrl = getSdBaseUrl(profile);
+        // Every request to an auth-protected ComfyUI carries the key, not only /prompt
+        const authHeaders = profile.apiKey ? { 'Authorization': `Bearer ${profile.apiKey}` } : {};
+        
+        let aspectRatio = options.aspectRatio || profile.aspectRatio || '1:1';
+        if (!VALID_ASPECT_RATIOS.includes(aspectRatio)) {
+            aspectRatio = VALID_ASPECT_RATIOS.includes(profile.aspectRatio) ? profile.aspectRatio : '1:1';
+        }
+        const { width, height } = getDimensionsForRatio(aspectRatio, Number(profile.comfyBaseSize) || 1024);
+        
+        const seed = options.seed ?? (Number(profile.comfySeed) >= 0
+            ? Number(profile.comfySeed)
+            : Math.floor(Math.random() * 2 ** 32));
+        
+        const values = {
+            prompt: style ? `${style}, ${prompt}` : prompt,
+            negative: [profile.comfyNegativePrompt, options.negativePrompt].filter(Boolean).join(', '),
+            seed: seed,
+            width: width,
+            height: height,
+            model: profile.model,
+        };
+        
+        for (const key of ['seed', 'negative']) {
+            if (!workflow.json.includes(`%${key}%`)) {
+                iigLog('WARN', `Workflow "${workflow.name}" has no %${key}% placeholder, ${key} is not applied`);
+            }
+        }
+        
+        for (let i = 0; i < referenceImages.length; i++) {
+            options.onStatusUpdate?.('Загрузка референсов...');
+            values[`ref${i + 1}`] = await uploadComfyImage(profile, referenceImages[i], i, authHeaders, options.signal);
+        }
+        
+        const filledGraph = fillComfyWorkflow(graph, values);
+        const clientId = `iig-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        
+        let socket = null;
+        try {
+            socket = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/ws?clientId=${clientId}`);
+        } catch (e) {
+            iigLog('WARN', `ComfyUI websocket unavailable: ${e.message}`);
+        }
+        
+        iigLog('INFO', `ComfyUI request: workflow="${workflow.name}", ${width}x${height}, seed=${seed}, refs=${referenceImages.length}`);
+        
+        const headers = { ...authHeaders, 'Content-Type': 'application/json' };
+        let promptId = null;
+        
+        try {
+            const response = await fetch(`${baseUrl}/prompt`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({ prompt: filledGraph, client_id: clientId }),
+                signal: options.signal
+            });
+            
+            if (!response.ok) {
+                throw await createHttpError(response);
+            }
+            
+            promptId = (await response.json()).prompt_id;
+            options.onStatusUpdate?.('В очереди ComfyUI...');
+            
+            const outputs = await waitForComfyPrompt(profile, promptId, socket, authHeaders, options.onStatusUpdate, options.signal);
+            
+            const images = Object.values(outputs).flatMap(output => output.images || []);
+            const image = images.find(img => img.type === 'output') || images[0];
+            if (!image) {
+                throw createGenerationError('No image data in response', 'text_only');
+            }
+            
+            const params = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' });
+            const viewResponse = await fetch(`${baseUrl}/view?${params}`, { headers: authHeaders, signal: options.signal });
+            if (!viewResponse.ok) {
+                throw await createHttpError(viewResponse, 'Download Error');
+            }
+            
+            return await blobToDataUrl(await viewResponse.blob());
+        } catch (error) {
+            if (options.signal?.aborted && promptId) {
+                // Drop the prompt from ComfyUI queue and stop it if already running
+                fetch(`${baseUrl}/queue`, { method: 'POST', headers, body: JSON.stringify({ delete: [promptId] }) }).catch(() => {});
+                fetch(`${baseUrl}/interrupt`, { method: 'POST', headers }).catch(() => {});
+            }
+            throw error;
+        } finally {
+            socket?.close();
+        }
+    }
+
+    /**
+     * Hash a string (cyrb53), works without secure context unlike crypto.subtle
+     */
+    function hashString(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    /**
+     * Build result cache key from everything that shapes the image (after style preset expansion)
+     */
+    function buildResultCacheKey(profile, prompt, style, options, seed, referenceImages) {
+        const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+        return hashString(JSON.stringify([
+            normalize(prompt),
+            normalize(style),
+            options.aspectRatio || '',
+            options.imageSize || '',
+            options.quality || '',
+            normalize(options.negativePrompt),
+            // Only an explicitly requested seed makes the result reproducible
+            seed,
+            profile.apiType,
+            profile.model || '',
+            referenceImages.map(hashString),
+        ]));
+    }
+
+    /**
+     * Load result cache entries from their file once
+     */
+    function loadResultCache() {
+        resultCacheState.loading ??= (async () => {
+            let entries = {};
+            try {
+                const response = await fetch(`/user/files/${RESULT_CACHE_FILE}`, { cache: 'no-cache' });
+                if (response.ok) entries = await response.json() || {};
+            } catch (error) {
+                iigLog('WARN', `Failed to load result cache: ${error.message}`);
+            }
+            
+            resultCacheState.entries = entries;
+            return entries;
+        })();
+        return resultCacheState.loading;
+    }
+
+    /**
+     * Write result cache file (debounced, the cache changes after every generation)
+     */
+    function saveResultCache() {
+        clearTimeout(resultCacheState.saveTimer);
+        resultCacheState.saveTimer = setTimeout(async () => {
+            const context = SillyTavern.getContext();
+            try {
+                const response = await fetch('/api/files/upload', {
+                    method: 'POST',
+                    headers: context.getRequestHeaders(),
+                    body: JSON.stringify({
+                        name: RESULT_CACHE_FILE,
+                        data: bytesToBase64(new TextEncoder().encode(JSON.stringify(resultCacheState.entries)))
+                    })
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            } catch (error) {
+                iigLog('ERROR', `Failed to save result cache: ${error.message}`);
+            }
+        }, 1000);
+    }
+
+    /**
+     * Get cached result path for a key; entries whose file is gone are dropped
+     */
+    async function getCachedResult(key) {
+        const entries = await loadResultCache();
+        const entry = entries[key];
+        if (!entry) return null;
+        
+        if (!await checkFileExists(entry.path)) {
+            iigLog('INFO', `Cached image is missing, dropping cache entry: ${entry.path}`);
+            delete entries[key];
+            saveResultCache();
+            refreshResultCacheInfo();
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Remember saved image path for a cache key (oldest entries are evicted over the limit)
+     */
+    async function storeCachedResult(key, path, prompt, info) {
+        const entries = await loadResultCache();
+        entries[key] = {
+            path,
+            prompt,
+            created: new Date().toISOString(),
+            info: { seed: info.seed ?? null, negativePrompt: info.negativePrompt || null, model: info.model || null, provider: info.provider || null },
+        };
+        
+        const keys = Object.keys(entries);
+        if (keys.length > RESULT_CACHE_LIMIT) {
+            keys.sort((a, b) => entries[a].created.localeCompare(entries[b].created));
+            for (const oldKey of keys.slice(0, keys.length - RESULT_CACHE_LIMIT)) {
+                delete entries[oldKey];
+            }
+        }
+        
+        saveResultCache();
+        refreshResultCacheInfo();
+    }
+
+    /**
+     * Drop cache entries whose files no longer exist, returns number of removed entries
+     */
+    async function pruneResultCache() {
+        const entries = await loadResultCache();
+        let removed = 0;
+        
+        for (const [key, entry] of Object.entries(entries)) {
+            if (!await checkFileExists(entry.path)) {
+                delete entries[key];
+                removed++;
+            }
+        }
+        
+        if (removed > 0) {
+            saveResultCache();
+            refreshResultCacheInfo();
+        }
+        return removed;
+    }
+
+    /**
+     * Show cached results (after dropping missing files)
+     */
+    async function openResultCacheViewer() {
+        const context = SillyTavern.getContext();
+        const removed = await pruneResultCache();
+        if (removed > 0) {
+            toastr.info(`Удалено записей с отсутствующими файлами: ${removed}`, 'Генерация картинок');
+        }
+        
+        const entries = Object.entries(await loadResultCache())
+            .sort(([, a], [, b]) => b.created.localeCompare(a.created));
+        
+        const element = document.createElement('div');
+        element.className = 'iig-gallery';
+        element.innerHTML = entries.length === 0
+            ? '<div class="hint">Кэш пуст</div>'
+            : `<div class="iig-gallery-grid">${entries.map(([key, entry]) => `
+                <div class="iig-gallery-item" data-key="${key}">
+                    <a href="${escapeHtml(entry.path)}" target="_blank"><img src="${escapeHtml(entry.path)}" loading="lazy" alt=""></a>
+                    <div class="iig-gallery-prompt" title="${escapeHtml(entry.prompt)}">${escapeHtml(entry.prompt)}</div>
+                    <div class="iig-gallery-meta">${escapeHtml([entry.info?.model, formatGalleryDate(entry.created)].filter(Boolean).join(' · '))}</div>
+                    <div class="iig-gallery-item-actions">
+                        <div class="menu_button iig-icon-btn" data-action="remove" title="Удалить из кэша (файл остаётся)"><i class="fa-solid fa-trash"></i></div>
+                    </div>
+                </div>`).join('')}</div>`;
+        
+        element.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-action="remove"]')?.closest('.iig-gallery-item');
+            if (!card) return;
+            
+            delete resultCacheState.entries[card.dataset.key];
+            saveResultCache();
+            refreshResultCacheInfo();
+            card.remove();
+        });
+        
+        await context.callGenericPopup(element, context.POPUP_TYPE.TEXT, '', {
+            wide: true,
+            large: true,
+            okButton: 'Закрыть',
+            allowVerticalScrolling: true,
+        });
+    }
+
+    /**
+     * Start of the current usage period (local day or month)
+     */
+    function getUsagePeriodStart(period, now = new Date()) {
+        return period === 'day'
+            ? new Date(now.getFullYear(), now.getMonth(), now.getDate())
+            : new Date(now.getFullYear(), now.getMonth(), 1);
+    }
+
+    /**
+     * Price of one image for a model, 0 if not set
+     */
+    function getModelPrice(model) {
+        return Number(getSettings().modelPrices[model]) || 0;
+    }
+
+    /**
+     * Local date key 'YYYY-MM-DD' of usage totals
+     */
+    function getUsageDayKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Count one API call in the day totals
+     */
+    function addUsageTotals(settings, time, model, success) {
+        const day = settings.usageDays[getUsageDayKey(time)] ??= {};
+        const counts = day[model] ??= { images: 0, failed: 0 };
+        counts[success ? 'images' : 'failed']++;
+    }
+
+    /**
+     * Move day totals older than the current month into month totals
+     */
+    function foldUsageDays(settings, now) {
+        const monthStart = getUsageDayKey(getUsagePeriodStart('month', now));
+        for (const [dayKey, models] of Object.entries(settings.usageDays)) {
+            if (dayKey >= monthStart) continue;
+            
+            const month = settings.usageMonths[dayKey.substring(0, 7)] ??= {};
+            for (const [model, counts] of Object.entries(models)) {
+                const total = month[model] ??= { images: 0, failed: 0 };
+                total.images += counts.images;
+                total.failed += counts.failed;
+            }
+            delete settings.usageDays[dayKey];
+        }
+    }
+
+    /**
+     * Sum up day totals since a date within the current month: { images, failed, cost }
+     */
+    function summarizeUsage(since) {
+        const totals = { images: 0, failed: 0, cost: 0 };
+        const sinceKey = getUsageDayKey(since);
+        for (const [dayKey, models] of Object.entries(getSettings().usageDays)) {
+            if (dayKey < sinceKey) continue;
+            for (const [model, counts] of Object.entries(models)) {
+                totals.images += counts.images;
+                totals.failed += counts.failed;
+                totals.cost += counts.images * getModelPrice(model);
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * Usage of the current limit period in limit units (images or cost)
+     */
+    function getPeriodUsage() {
+        const settings = getSettings();
+        const totals = summarizeUsage(getUsagePeriodStart(settings.usageLimitPeriod));
+        return settings.usageLimitUnit === 'images' ? totals.images : totals.cost;
+    }
+
+    /**
+     * Format usage value in limit units
+     */
+    function formatUsageValue(value) {
+        return getSettings().usageLimitUnit === 'images' ? `${value} шт.` : Number(value).toFixed(2);
+    }
+
+    /**
+     * Check if error means the spending cap refused the generation
+     */
+    function isUsageLimitError(error) {
+        return error?.name === 'GenerationError' && error.kind === 'usage_limit';
+    }
+
+    // API calls under way, counted against the hard cap until they are recorded: model -> count
+    const pendingUsage = new Map();
+
+    /**
+     * Count an API call as under way
+     */
+    function reserveUsage(model) {
+        pendingUsage.set(model, (pendingUsage.get(model) || 0) + 1);
+    }
+
+    /**
+     * Drop an API call from the ones under way
+     */
+    function releaseUsage(model) {
+        const count = (pendingUsage.get(model) || 0) - 1;
+        if (count > 0) {
+            pendingUsage.set(model, count);
+        } else {
+            pendingUsage.delete(model);
+        }
+    }
+
+    /**
+     * Usage of API calls under way in limit units
+     */
+    function getPendingUsage() {
+        const byImages = getSettings().usageLimitUnit === 'images';
+        let total = 0;
+        for (const [model, count] of pendingUsage) {
+            total += byImages ? count : count * getModelPrice(model);
+        }
+        return total;
+    }
+
+    /**
+     * Refuse generation once the hard cap of the current period is reached, counting calls under way
+     */
+    function assertUsageAllowed() {
+        const cap = Number(getSettings().usageHardCap) || 0;
+        if (cap <= 0) return;
+        
+        const used = getPeriodUsage() + getPendingUsage();
+        if (used >= cap) {
+            throw createGenerationError(`Достигнут лимит расходов: ${formatUsageValue(used)} из ${formatUsageValue(cap)}`, 'usage_limit');
+        }
+    }
+
+    /**
+     * Record one API call in usage totals and the short raw log
+     */
+    function recordUsage(profile, backend, options, success, error = null) {
+        const settings = getSettings();
+        const now = new Date();
+        addUsageTotals(settings, now, profile.model || backend, success);
+        foldUsageDays(settings, now);
+        
+        settings.usageLog.push({
+            time: now.toISOString(),
+            profile: profile.name,
+            provider: backend,
+            model: profile.model || backend,
+            size: [options.aspectRatio, options.imageSize].filter(Boolean).join(' ') || null,
+            success,
+            error: error ? String(error).substring(0, 200) : null,
+        });
+        
+        if (settings.usageLog.length > USAGE_LOG_LIMIT) {
+            settings.usageLog.splice(0, settings.usageLog.length - USAGE_LOG_LIMIT);
+        }
+        
+        // Soft threshold warns once per period
+        const threshold = Number(settings.usageWarnThreshold) || 0;
+        const periodKey = getUsagePeriodStart(settings.usageLimitPeriod).toISOString();
+        if (success && threshold > 0 && settings.usageWarnedPeriod !== periodKey && getPeriodUsage() >= threshold) {
+            settings.usageWarnedPeriod = periodKey;
+            toastr.warning(`Расход за ${settings.usageLimitPeriod === 'day' ? 'день' : 'месяц'}: ${formatUsageValue(getPeriodUsage())}, порог ${formatUsageValue(threshold)}`, 'Генерация картинок');
+        }
+        
+        saveSettings();
+        refreshUsageSummary();
+    }
+
+    // Request timestamps and server-requested pauses per endpoint: key -> { times, blockedUntil }
+    const rateLimiters = new Map();
+    // Longest server-requested wait still worth retrying, ms
+    const MAX_RETRY_WAIT = 120000;
+    const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+    /**
+     * Build error for a failed HTTP response, keeping status, headers and body for retry decisions
+     */
+    async function createHttpError(response, label = 'API Error') {
+        const text = await response.text().catch(() => '');
+        const error = new Error(`${label} (${response.status})${text ? `: ${text}` : ''}`);
+        error.name = 'HttpError';
+        error.status = response.status;
+        error.headers = response.headers;
+        error.body = text;
+        return error;
+    }
+
+    /**
+     * Check if a failed attempt is worth retrying: timeouts, network failures and transient HTTP statuses
+     */
+    function isRetryableError(error) {
+        if (error?.name === 'TimeoutError') return true;
+        if (error?.name === 'HttpError') return RETRYABLE_STATUSES.includes(error.status);
+        // fetch rejects with TypeError when the server is unreachable
+        return error?.name === 'TypeError' && /fetch|network|load failed/i.test(error.message);
+    }
+
+    /**
+     * Parse a rate limit time value to ms: duration ("1m30s", "20ms"), seconds, Unix timestamp or HTTP date
+     */
+    function parseResetValue(value) {
+        const text = String(value ?? '').trim();
+        if (!text) return null;
+        
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const number = Number(text);
+            if (number > 1e12) return Math.max(0, number - Date.now());
+            if (number > 1e9) return Math.max(0, number * 1000 - Date.now());
+            return number * 1000;
+        }
+        
+        const duration = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+        if (duration) {
+            const [hours, minutes, seconds, ms] = duration.slice(1).map(part => Number(part) || 0);
+            return ((hours * 60 + minutes) * 60 + seconds) * 1000 + ms;
+        }
+        
+        const date = Date.parse(text);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Get wait requested by the server (Retry-After, x-ratelimit-* headers, Gemini RetryInfo), ms or null
+     */
+    function getServerRetryDelay(error) {
+        const headers = error?.headers;
+        if (headers) {
+            const retryAfterMs = Number(headers.get('retry-after-ms'));
+            if (retryAfterMs > 0) return retryAfterMs;
+            
+            const retryAfter = parseResetValue(headers.get('retry-after'));
+            if (retryAfter !== null) return retryAfter;
+            
+            if (error.status === 429) {
+                for (const suffix of ['-requests', '-tokens', '']) {
+                    const remaining = headers.get(`x-ratelimit-remaining${suffix}`);
+                    const reset = parseResetValue(headers.get(`x-ratelimit-reset${suffix}`));
+                    if (reset !== null && (remaining === null || Number(remaining) <= 0)) return reset;
+                }
+            }
+        }
+        
+        const retryDelay = error?.body?.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+        return retryDelay ? Number(retryDelay[1]) * 1000 : null;
+    }
+
+    /**
+     * Get rate limiter of the profile's endpoint
+     */
+    function getRateLimiter(profile) {
+        const key = `${profile.apiType}:${(profile.endpoint || '').replace(/\/+$/, '')}`;
+        if (!rateLimiters.has(key)) {
+            rateLimiters.set(key, { times: [], blockedUntil: 0 });
+        }
+        return rateLimiters.get(key);
+    }
+
+    /**
+     * Wait for ms, showing the seconds left in status
+     */
+    async function waitWithCountdown(ms, signal, onStatusUpdate, formatStatus) {
+        const end = Date.now() + ms;
+        for (let remaining = ms; remaining > 0; remaining = end - Date.now()) {
+            onStatusUpdate?.(formatStatus(Math.ceil(remaining / 1000)));
+            await sleep(Math.min(remaining, 1000), signal);
+        }
+    }
+
+    /**
+     * Wait for a free request slot of the endpoint: profile requests-per-minute limit and server-requested pauses
+     */
+    async function acquireRateSlot(profile, signal, onStatusUpdate) {
+        const limiter = getRateLimiter(profile);
+        const rpm = Number(profile.rpmLimit) || 0;
+        
+        while (true) {
+            const now = Date.now();
+            limiter.times = limiter.times.filter(time => now - time < 60000);
+            
+            let wait = limiter.blockedUntil - now;
+            if (rpm > 0 && limiter.times.length >= rpm) {
+                wait = Math.max(wait, limiter.times[0] + 60000 - now);
+            }
+            if (wait <= 0) break;
+            
+            await waitWithCountdown(wait, signal, onStatusUpdate, (seconds) => `Лимит запросов, ожидание ${seconds}с...`);
+        }
+        
+        limiter.times.push(Date.now());
+    }
+
+    /**
+     * Run a quiet generation with the connected chat LLM and return its text
+     */
+    async function generateQuietText(prompt) {
+        const context = SillyTavern.getContext();
+        if (typeof context.generateQuietPrompt !== 'function') {
+            throw new Error('SillyTavern quiet generation API is not available');
+        }
+        
+        // Newer SillyTavern takes an options object, older versions positional arguments
+        const run = quietGenerationChain.then(() => context.generateQuietPrompt.length >= 2
+            ? context.generateQuietPrompt(prompt, false, false)
+            : context.generateQuietPrompt({ quietPrompt: prompt }));
+        quietGenerationChain = run.catch(() => {});
+        return String((await run) || '');
+    }
+
+    /**
+     * Extract a bare image prompt from LLM answer (drops code fences, labels and quotes)
+     */
+    function cleanLlmPrompt(text) {
+        return text
+            .replace(/```\w*/g, '')
+            .trim()
+            .replace(/^(image\s+)?prompt\s*:\s*/i, '')
+            .replace(/^["'«“](.*)["'»”]$/s, '$1')
+            .trim();
+    }
+
+    /**
+     * Ask the chat LLM to reword a prompt blocked by the image model
+     */
+    async function rewriteBlockedPrompt(prompt, reason) {
+        const template = getSettings().safetyRewriteTemplate || DEFAULT_SAFETY_REWRITE_TEMPLATE;
+        const request = template
+            .replace(/\{\{iig_prompt\}\}/g, () => prompt)
+            .replace(/\{\{iig_reason\}\}/g, () => reason);
+        
+        const rewritten = cleanLlmPrompt(await generateQuietText(request));
+        if (!rewritten) {
+            throw new Error('LLM вернула пустой промпт');
+        }
+        return rewritten;
+    }
+
+    /**
+     * Check if prompt enhancement is on for the current chat (chat toggle overrides global one)
+     */
+    function isPromptEnhancementEnabled() {
+        const chatValue = getChatMetadata().enhanceEnabled;
+        return typeof chatValue === 'boolean' ? chatValue : getSettings().enhanceEnabled;
+    }
+
+    /**
+     * Plain text of the last messages up to the given one, without markup and image tags
+     */
+    function getRecentChatText(messageId, count) {
+        const chat = SillyTavern.getContext().chat;
+        return chat.slice(Math.max(0, messageId - count + 1), messageId + 1)
+            .filter(message => message && !message.is_system)
+            .map(message => {
+                const text = String(message.mes || '')
+                    .replace(/<[^>]*>/g, ' ')
+                    .replace(/\[IMG:[^\]]*\]/g, '')
+                    .replace(/\s+/g, ' ')
+                    .trim();
+                return `${message.name}: ${text}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Fill a request to the chat LLM with the character card, persona and recent messages of a message
+     */
+    function renderStoryTemplate(template, messageId, messageCount, extra = {}) {
+        const context = SillyTavern.getContext();
+        const character = getMessageCharacter(context.chat[messageId]);
+        
+        // Prefixed names, SillyTavern has its own {{description}} and {{persona}} macros
+        const variables = {
+            iig_char: character?.name || '',
+            iig_description: character?.description || character?.data?.description || '',
+            iig_persona: context.powerUserSettings?.persona_description || '',
+            iig_messages: getRecentChatText(messageId, Math.max(1, Number(messageCount) || 1)),
+            ...extra,
+        };
+        return template.replace(/\{\{(iig_\w+)\}\}/g, (match, name) => variables[name] ?? match);
+    }
+
+    /**
+     * Expand a tag prompt with the chat LLM using the character card, persona and recent messages
+     */
+    async function enhanceTagPrompt(prompt, messageId) {
+        const settings = getSettings();
+        const request = renderStoryTemplate(settings.enhanceTemplate || DEFAULT_ENHANCE_TEMPLATE, messageId, settings.enhanceMessages, { iig_prompt: prompt });
+        
+        const enhanced = cleanLlmPrompt(await generateQuietText(request));
+        if (!enhanced) {
+            throw new Error('LLM вернула пустой промпт');
+        }
+        return enhanced;
+    }
+
+    /**
+     * Ask the chat LLM to describe the scene of a message as an image prompt
+     */
+    async function describeMessageScene(messageId) {
+        const settings = getSettings();
+        const request = renderStoryTemplate(settings.autoIllustrateTemplate || DEFAULT_ILLUSTRATE_TEMPLATE, messageId, settings.autoIllustrateMessages);
+        
+        const prompt = cleanLlmPrompt(await generateQuietText(request));
+        if (!prompt) {
+            throw new Error('LLM вернула пустой промпт');
+        }
+        return prompt;
+    }
+
+    /**
+     * Generate image; a safety block or refusal can be retried with a prompt reworded by the chat LLM
+     */
+    async function generateImageWithRetry(prompt, style, onStatusUpdate, options = {}) {
+        const settings = getSettings();
+        const maxRewrites = settings.safetyRewriteEnabled ? Math.max(0, Number(settings.safetyRewriteAttempts) || 0) : 0;
+        
+        for (let rewrite = 0; ; rewrite++) {
+            try {
+                const result = await generateWithFailover(prompt, style, onStatusUpdate, options);
+                if (rewrite > 0 && options.info) options.info.rewrittenPrompt = prompt;
+                return result;
+            } catch (error) {
+                if (rewrite >= maxRewrites || classifyFailure(error) !== 'safety') throw error;
+                
+                onStatusUpdate?.(`Блокировка, переписываю промпт (${rewrite + 1}/${maxRewrites})...`);
+                // The enhanced prompt is what got blocked; the rewrite replaces it and is not enhanced again
+                const blocked = options.info?.enhancedPrompt && rewrite === 0 ? options.info.enhancedPrompt : prompt;
+                options = { ...options, enhancePrompt: null };
+                let rewritten;
+                try {
+                    rewritten = await rewriteBlockedPrompt(blocked, error.message.substring(0, 200));
+                } catch (rewriteError) {
+                    iigLog('ERROR', 'Prompt rewrite failed:', rewriteError.message);
+                    throw error;
+                }
+                options.signal?.throwIfAborted();
+                
+                iigLog('INFO', `Prompt rewritten after safety block (${rewrite + 1}/${maxRewrites}): "${blocked}" -> "${rewritten}"`);
+                prompt = rewritten;
+            }
+        }
+    }
+
+    /**
+     * Generate image with the resolved profile, failing over along the backup chain by failure class
+     */
+    async function generateWithFailover(prompt, style, onStatusUpdate, options = {}) {
+        const settings = getSettings();
+        const primary = resolveProfile(options.messageId);
+        const chain = [primary, ...settings.failoverChain
+            .map(id => settings.profiles[id])
+            .filter(profile => profile && profile !== primary)];
+        const attempts = [];
+        
+        for (let i = 0; i < chain.length; i++) {
+            const profile = chain[i];
+            try {
+                if (i > 0) onStatusUpdate?.(`Переключение на «${profile.name}»...`);
+                const result = await generateWithProfile(profile, prompt, style, onStatusUpdate, options);
+                
+                if (options.info) options.info.provider = profile.name;
+                if (i > 0) {
+                    attempts.push(`"${profile.name}": ok`);
+                    iigLog('INFO', `Failover chain: ${attempts.join(' -> ')}`);
+                }
+                return result;
+            } catch (error) {
+                if (isCancelError(error) || isUsageLimitError(error)) throw error;
+                
+                const failure = classifyFailure(error);
+                attempts.push(`"${profile.name}": ${failure} (${error.message.substring(0, 100)})`);
+                
+                // A misconfigured backup is skipped, other classes follow the rules
+                const next = chain[i + 1];
+                const rule = failure === 'config' ? 'failover' : settings.failoverRules[failure];
+                if (!next || rule !== 'failover') {
+                    if (chain.length > 1) iigLog('WARN', `Failover chain: ${attempts.join(' -> ')}`);
+                    throw error;
+                }
+                iigLog('WARN', `Profile "${profile.name}" failed (${failure}), failing over to "${next.name}"`);
+            }
+        }
+    }
+
+    /**
+     * Generate image with one profile, retrying transient failures
+     */
+    async function generateWithProfile(profile, prompt, style, onStatusUpdate, options = {}) {
+        validateSettings(profile);
+        // Refuse before any preparation work such as reference uploads, not only before the API call
+        assertUsageAllowed();
+        
+        const settings = getSettings();
+        const maxRetries = settings.maxRetries;
+        const baseDelay = settings.retryDelay;
+        
+        iigLog('INFO', `Using profile "${profile.name}" (${profile.apiType}, ${profile.model})`);
+        
+        const source = { prompt, style };
+        ({ prompt, style, options } = expandStylePreset(prompt, style, options));
+        
+        const backend = getBackendType(profile);
+        const model = profile.model || backend;
+        const requestedSeed = backend === 'openai' ? null : options.seed ?? parseSeed(getChatMetadata().lockedSeed);
+        options = { ...options, seed: resolveSeed(profile, backend, options.seed) };
+        if (options.info) {
+            options.info.seed = options.seed;
+            options.info.negativePrompt = options.negativePrompt || null;
+            options.info.model = model;
+            options.info.backend = backend;
+            options.info.aspectRatio = options.aspectRatio || null;
+            options.info.imageSize = options.imageSize || null;
+            options.info.quality = options.quality || null;
+            options.info.refs = options.refs || null;
+        }
+        const timeoutSec = Number(profile.requestTimeout) || 0;
+        const referenceImages = backend !== 'openai'
+            ? await collectReferenceImages(profile, options.refs, options.messageId)
+            : [];
+        
+        // Automatic generations reuse an identical earlier result, explicit regenerations only refresh the entry
+        if (settings.resultCacheEnabled) {
+            const cacheKey = buildResultCacheKey(profile, prompt, style, options, requestedSeed, referenceImages);
+            if (options.info) options.info.cacheKey = cacheKey;
+            
+            const cached = options.useCache ? await getCachedResult(cacheKey) : null;
+            if (cached) {
+                iigLog('INFO', `Result cache hit: ${cached.path}`);
+                if (options.info) Object.assign(options.info, cached.info, { cached: true });
+                return cached.path;
+            }
+        }
+        
+        // Enhancement comes after the lookup: the key is the tag's own prompt and a hit needs no LLM call
+        if (options.enhancePrompt) {
+            const enhanced = await options.enhancePrompt(source.prompt);
+            options.signal?.throwIfAborted();
+            prompt = expandStylePreset(enhanced, source.style, options).prompt;
+        }
+        
+        let lastError;
+        
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            options.signal?.throwIfAborted();
+            // Check and reservation in one step, so parallel queue workers cannot all pass the cap
+            assertUsageAllowed();
+            reserveUsage(model);
+            try {
+                await acquireRateSlot(profile, options.signal, onStatusUpdate);
+            } catch (error) {
+                releaseUsage(model);
+                throw error;
+            }
+            
+            // Per-attempt signal: aborts on user cancel or on profile timeout
+            const attemptController = new AbortController();
+            const onCancel = () => attemptController.abort(options.signal.reason);
+            options.signal?.addEventListener('abort', onCancel, { once: true });
+            const timer = timeoutSec > 0
+                ? setTimeout(() => attemptController.abort(new DOMException(`Таймаут запроса (${timeoutSec}с)`, 'TimeoutError')), timeoutSec * 1000)
+                : null;
+            const attemptOptions = { ...options, signal: attemptController.signal };
+            
+            try {
+                onStatusUpdate?.(`Генерация${attempt > 0 ? ` (повтор ${attempt}/${maxRetries})` : ''}...`);
+                
+                let result;
+                if (backend === 'comfy') {
+                    result = await generateImageComfy(profile, prompt, style, referenceImages, { ...attemptOptions, onStatusUpdate });
+                } else if (backend === 'sd') {
+                    result = await generateImageSD(profile, prompt, style, referenceImages, attemptOptions);
+                } else if (backend === 'gemini') {
+                    result = await generateImageGemini(profile, prompt, style, referenceImages, attemptOptions);
+                } else {
+                    result = await generateImageOpenAI(profile, prompt, style, referenceImages, attemptOptions);
+                }
+                
+                recordUsage(profile, backend, options, true);
+                return result;
+            } catch (error) {
+                if (options.signal?.aborted) {
+                    throw options.signal.reason;
+                }
+                
+                lastError = attemptController.signal.aborted ? attemptController.signal.reason : error;
+                iigLog('DEBUG', `Generation attempt ${attempt + 1} failed: ${lastError.message}`);
+                recordUsage(profile, backend, options, false, lastError.message);
+                
+                // A server-requested pause also holds back other jobs to the same endpoint
+                const serverDelay = getServerRetryDelay(lastError);
+                if (serverDelay !== null && serverDelay <= MAX_RETRY_WAIT) {
+                    const limiter = getRateLimiter(profile);
+                    limiter.blockedUntil = Math.max(limiter.blockedUntil, Date.now() + serverDelay);
+                }
+                
+                if (!isRetryableError(lastError) || attempt === maxRetries) {
+                    break;
+                }
+                if (serverDelay !== null && serverDelay > MAX_RETRY_WAIT) {
+                    iigLog('WARN', `Server asked to wait ${Math.round(serverDelay / 1000)}s, not retrying`);
+                    break;
+                }
+                
+                const delay = serverDelay ?? baseDelay * Math.pow(2, attempt);
+                iigLog('INFO', `Retrying in ${delay}ms (${serverDelay !== null ? 'requested by server' : 'backoff'})`);
+                const label = lastError.status === 429 ? 'Лимит запросов, повтор через' : 'Повтор через';
+                await waitWithCountdown(delay, options.signal, onStatusUpdate, (seconds) => `${label} ${seconds}с...`);
+            } finally {
+                clearTimeout(timer);
+                options.signal?.removeEventListener('abort', onCancel);
+                releaseUsage(model);
+            }
+        }
+        
+        throw lastError;
+    }
+
+    /**
+     * Wait for ms, rejecting early if signal aborts
+     */
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Check if error comes from user cancellation
+     */
+    function isCancelError(error) {
+        return error?.name === 'AbortError';
+    }
+
+    /**
+     * Cancel one in-flight tag generation
+     */
+    function cancelGeneration(tagId) {
+        const entry = activeGenerations.get(tagId);
+        if (!entry) return false;
+        
+        entry.controller.abort(new DOMException('Генерация отменена', 'AbortError'));
+        return true;
+    }
+
+    /**
+     * Cancel all in-flight generations of a message
+     */
+    function cancelMessageGenerations(messageId) {
+        const message = SillyTavern.getContext().chat[messageId];
+        let count = 0;
+        for (const [tagId, entry] of activeGenerations) {
+            if (entry.target.message === message && cancelGeneration(tagId)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Put a generation into the global queue. Same signature as generateImageWithRetry.
+     */
+    function queueImageGeneration(prompt, style, onStatusUpdate, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (options.signal?.aborted) {
+                reject(options.signal.reason);
+                return;
+            }
+            
+            const job = {
+                id: generationQueue.nextId++,
+                messageId: options.messageId ?? -1,
+                prompt: prompt,
+                status: 'pending',
+                error: null,
+                run: () => generateImageWithRetry(prompt, style, onStatusUpdate, options),
+                resolve: resolve,
+                reject: reject,
+            };
+            generationQueue.jobs.push(job);
+            
+            // A pending job is simply dropped; a running one is aborted through its own signal
+            options.signal?.addEventListener('abort', () => {
+                if (job.status !== 'pending') return;
+                generationQueue.jobs.splice(generationQueue.jobs.indexOf(job), 1);
+                renderQueuePanel();
+                reject(options.signal.reason);
+            }, { once: true });
+            
+            onStatusUpdate?.('В очереди...');
+            pumpQueue();
+        });
+    }
+
+    /**
+     * Start pending jobs up to the concurrency limit. Newest message goes first, FIFO within a message.
+     */
+    function pumpQueue() {
+        const limit = Math.max(1, Number(getSettings().queueConcurrency) || 1);
+        
+        while (generationQueue.running < limit) {
+            const pending = generationQueue.jobs.filter(job => job.status === 'pending');
+            if (pending.length === 0) break;
+            
+            const job = pending.reduce((best, candidate) => {
+                if (candidate.messageId !== best.messageId) {
+                    return candidate.messageId > best.messageId ? candidate : best;
+                }
+                return candidate.id < best.id ? candidate : best;
+            });
+            
+            job.status = 'running';
+            generationQueue.running++;
+            
+            job.run().then((result) => {
+                generationQueue.jobs.splice(generationQueue.jobs.indexOf(job), 1);
+                job.resolve(result);
+            }, (error) => {
+                if (isCancelError(error)) {
+                    generationQueue.jobs.splice(generationQueue.jobs.indexOf(job), 1);
+                } else {
+                    job.status = 'failed';
+                    job.error = error.message;
+                }
+                job.reject(error);
+            }).finally(() => {
+                generationQueue.running--;
+                pumpQueue();
+            });
+        }
+        
+        renderQueuePanel();
+    }
+
+    /**
+     * Render floating queue panel with pending, running and failed jobs
+     */
+    function renderQueuePanel() {
+        let panel = document.getElementById('iig_queue_panel');
+        const jobs = generationQueue.jobs;
+        
+        if (!getSettings().showQueuePanel || jobs.length === 0) {
+            panel?.remove();
+            return;
+        }
+        
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'iig_queue_panel';
+            panel.className = 'iig-queue-panel';
+            document.body.appendChild(panel);
+            
+            panel.addEventListener('click', (e) => {
+                if (e.target.closest('.iig-queue-toggle')) {
+                    panel.classList.toggle('collapsed');
+                } else if (e.target.closest('.iig-queue-clear')) {
+                    generationQueue.jobs = generationQueue.jobs.filter(job => job.status !== 'failed');
+                    renderQueuePanel();
+                }
+            });
+        }
+        
+        const statusIcons = {
+            pending: 'fa-clock',
+            running: 'fa-spinner fa-spin',
+            failed: 'fa-triangle-exclamation',
+        };
+        const counts = { pending: 0, running: 0, failed: 0 };
+        for (const job of jobs) counts[job.status]++;
+        
+        const items = jobs.map(job => `
+            <div class="iig-queue-item ${job.status}" title="${escapeHtml(job.error || job.prompt)}">
+                <i class="fa-solid ${statusIcons[job.status]}"></i>
+                <span class="iig-queue-mes">#${job.messageId}</span>
+                <span class="iig-queue-prompt">${escapeHtml(job.prompt.substring(0, 80))}</span>
+            </div>
+        `).join('');
+        
+        panel.innerHTML = `
+            <div class="iig-queue-header">
+                <span class="iig-queue-toggle" title="Выполняется / в очереди / ошибки"><i class="fa-solid fa-images"></i> Очередь: ${counts.running} / ${counts.pending} / ${counts.failed}</span>
+                ${counts.failed > 0 ? '<i class="fa-solid fa-broom iig-queue-clear" title="Убрать ошибки"></i>' : ''}
+            </div>
+            <div class="iig-queue-list">${items}</div>
+        `;
+    }
+
+    /**
+     * Escape text for HTML attributes and content
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Check if a file exists on the server
+     */
+    async function checkFileExists(path) {
+        try {
+            const response = await fetch(path, { method: 'HEAD' });
+            return response.ok;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Find end of a JSON object starting at jsonStart (string-aware brace matching), -1 if unclosed
+     */
+    function findJsonEnd(text, jsonStart) {
+        let braceCount = 0;
+        let inString = false;
+        let escapeNext = false;
+        
+        for (let i = jsonStart; i < text.length; i++) {
+            const char = text[i];
+            if (escapeNext) { escapeNext = false; continue; }
+            if (char === '\\' && inString) { escapeNext = true; continue; }
+            if (char === '"') { inString = !inString; continue; }
+            if (!inString) {
+                if (char === '{') braceCount++;
+                else if (char === '}') {
+                    braceCount--;
+                    if (braceCount === 0) return i + 1;
+                }
+            }
+        }
+        
+        return -1;
+    }
+
+    /**
+     * Find all complete <img data-iig-instruction=...> tags in text.
+     * Position in the returned list is the tag index used to address a single tag in message and DOM.
+     */
+    function findInstructionTags(text) {
+        const found = [];
+        const imgTagMarker = 'data-iig-instruction=';
+        let searchPos = 0;
+        
+        while (true) {
+            const markerPos = text.indexOf(imgTagMarker, searchPos);
+            if (markerPos === -1) break;
+            
+            let imgStart = text.lastIndexOf('<img', markerPos);
+            if (imgStart === -1 || markerPos - imgStart > 500) {
+                searchPos = markerPos + 1;
+                continue;
+            }
+            
+            const afterMarker = markerPos + imgTagMarker.length;
+            let jsonStart = text.indexOf('{', afterMarker);
+            if (jsonStart === -1 || jsonStart > afterMarker + 10) {
+                searchPos = markerPos + 1;
+                continue;
+            }
+            
+            const jsonEnd = findJsonEnd(text, jsonStart);
+            if (jsonEnd === -1) { searchPos = markerPos + 1; continue; }
+            
+            let imgEnd = text.indexOf('>', jsonEnd);
+            if (imgEnd === -1) { searchPos = markerPos + 1; continue; }
+            imgEnd++;
+            
+            const fullImgTag = text.substring(imgStart, imgEnd);
+            const srcMatch = text.substring(jsonEnd, imgEnd).match(/src\s*=\s*["']?([^"'\s>]+)/i)
+                || text.substring(imgStart, markerPos).match(/src\s*=\s*["']?([^"'\s>]+)/i);
+            
+            const closingQuote = text[jsonEnd] === "'" || text[jsonEnd] === '"';
+            
+            found.push({
+                start: imgStart,
+                end: imgEnd,
+                attrStart: markerPos,
+                attrEnd: closingQuote ? jsonEnd + 1 : jsonEnd,
+                fullMatch: fullImgTag,
+                instructionJson: text.substring(jsonStart, jsonEnd),
+                src: srcMatch ? srcMatch[1] : '',
+            });
+            
+            searchPos = imgEnd;
+        }
+        
+        return found;
+    }
+
+    /**
+     * Parse instruction JSON from data-iig-instruction (HTML entities allowed)
+     */
+    function parseInstructionJson(instructionJson) {
+        const normalizedJson = instructionJson
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#39;/g, "'")
+            .replace(/&#34;/g, '"')
+            .replace(/&amp;/g, '&');
+        
+        return JSON.parse(normalizedJson);
+    }
+
+    /**
+     * Build tag info from parsed instruction data
+     */
+    function buildTagInfo(data, fields) {
+        return {
+            style: data.style || '',
+            prompt: data.prompt || '',
+            aspectRatio: data.aspect_ratio || data.aspectRatio || null,
+            imageSize: data.image_size || data.imageSize || null,
+            quality: data.quality || null,
+            refs: Array.isArray(data.refs) ? data.refs : null,
+            seed: parseSeed(data.seed),
+            negativePrompt: data.negative_prompt || data.negativePrompt || null,
+            ...fields
+        };
+    }
+
+    /**
+     * Parse seed value from instruction JSON, null if not a non-negative integer
+     */
+    function parseSeed(value) {
+        const seed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return Number.isInteger(seed) && seed >= 0 ? seed : null;
+    }
+
+    /**
+     * Set src of the tag with given index in message text (src is added if missing)
+     */
+    function setTagSrcInMessage(message, tagIndex, src) {
+        const entry = findInstructionTags(message.mes)[tagIndex];
+        if (!entry) {
+            iigLog('WARN', `Tag #${tagIndex} not found in message`);
+            return false;
+        }
+        
+        // Only touch attributes outside the instruction JSON, the prompt may contain anything
+        const jsonStartInTag = entry.fullMatch.indexOf(entry.instructionJson);
+        const jsonEndInTag = jsonStartInTag + entry.instructionJson.length;
+        let head = entry.fullMatch.substring(0, jsonStartInTag);
+        const json = entry.instructionJson;
+        let tail = entry.fullMatch.substring(jsonEndInTag);
+        
+        const quotedSrc = /(\s)src\s*=\s*(['"])[^'"]*\2/i;
+        const bareSrc = /(\s)src\s*=\s*[^\s>'"]+/i;
+        
+        if (quotedSrc.test(tail)) {
+            tail = tail.replace(quotedSrc, `$1src="${src}"`);
+        } else if (bareSrc.test(tail)) {
+            tail = tail.replace(bareSrc, `$1src="${src}"`);
+        } else if (quotedSrc.test(head)) {
+            head = head.replace(quotedSrc, `$1src="${src}"`);
+        } else if (bareSrc.test(head)) {
+            head = head.replace(bareSrc, `$1src="${src}"`);
+        } else {
+            tail = tail.replace(/\s*\/?>$/, (end) => ` src="${src}"${end}`);
+        }
+        
+        message.mes = message.mes.substring(0, entry.start) + head + json + tail + message.mes.substring(entry.end);
+        syncCurrentSwipe(message);
+        return true;
+    }
+
+    /**
+     * Get per-message extension data stored in message.extra
+     */
+    function getMessageData(message, create = true) {
+        if (!message.extra?.[MODULE_NAME]) {
+            if (!create) return null;
+            if (!message.extra) message.extra = {};
+            message.extra[MODULE_NAME] = { tags: {} };
+        }
+        return message.extra[MODULE_NAME];
+    }
+
+    /**
+     * Match history keys to the tags now in the message, so a history follows its tag when tags are added or removed.
+     * Keys are kept in message data with the instruction each was last seen with: a tag keeps the key of the same
+     * instruction, and with an unchanged tag count an edited instruction keeps the key of its position.
+     */
+    function alignTagKeys(message, data) {
+        const entries = findInstructionTags(message.mes);
+        const previous = data.tagKeys || [];
+        if (previous.length === entries.length && previous.every((slot, i) => slot.instruction === entries[i].instructionJson)) {
+            return previous;
+        }
+        
+        const unused = new Set(previous);
+        const keys = entries.map(entry => {
+            const slot = previous.find(s => unused.has(s) && s.instruction === entry.instructionJson);
+            unused.delete(slot);
+            return slot?.id ?? null;
+        });
+        if (previous.length === entries.length) {
+            keys.forEach((id, i) => {
+                if (id || !unused.has(previous[i])) return;
+                keys[i] = previous[i].id;
+                unused.delete(previous[i]);
+            });
+        }
+        
+        data.tagKeys = entries.map((entry, i) => ({
+            id: keys[i] ?? `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            instruction: entry.instructionJson,
+        }));
+        return data.tagKeys;
+    }
+
+    /**
+     * Get version history of a tag: { versions: [{ src, created }], current }
+     */
+    function getTagHistory(message, tagIndex, create = false) {
+        const data = getMessageData(message, create);
+        if (!data) return null;
+        
+        const key = alignTagKeys(message, data)[tagIndex]?.id ?? String(tagIndex);
+        if (!data.tags[key] && create) {
+            data.tags[key] = { versions: [], current: -1 };
+        }
+        return data.tags[key] || null;
+    }
+
+    /**
+     * Record a new image version for a tag and make it current.
+     * The image being replaced is kept as the first version if history is empty.
+     */
+    function addTagVersion(message, tagIndex, src, previousSrc = null, details = {}) {
+        const history = getTagHistory(message, tagIndex, true);
+        
+        if (history.versions.length === 0 && previousSrc && previousSrc !== src) {
+            history.versions.push({ src: previousSrc, created: null });
+        }
+        
+        history.versions.push({ src: src, created: new Date().toISOString(), ...details });
+        history.current = history.versions.length - 1;
+        syncCurrentSwipe(message);
+        return history;
+    }
+
+    /**
+     * Replace prompt inside instruction of the tag with given index (new-format tags only)
+     */
+    function setTagPromptInMessage(message, tagIndex, prompt) {
+        const entry = findInstructionTags(message.mes)[tagIndex];
+        const data = entry ? parseInstructionJson(entry.instructionJson) : null;
+        if (!data) {
+            iigLog('WARN', `Tag #${tagIndex} not found in message`);
+            return null;
+        }
+        
+        data.prompt = prompt;
+        message.mes = message.mes.substring(0, entry.attrStart) + buildInstructionAttribute(data) + message.mes.substring(entry.attrEnd);
+        syncCurrentSwipe(message);
+        return JSON.stringify(data);
+    }
+
+    /**
+     * Details stored with a generated version: what was asked for and what was actually sent
+     */
+    function buildVersionDetails(tag, info) {
+        return {
+            prompt: tag.prompt,
+            style: tag.style || '',
+            model: info.model || null,
+            provider: info.provider || null,
+            seed: info.seed ?? null,
+            negativePrompt: info.negativePrompt || null,
+            enhancedPrompt: info.enhancedPrompt || null,
+            rewrittenPrompt: info.rewrittenPrompt || null,
+        };
+    }
+
+    /**
+     * Tooltip of a generated image: style, prompts and seed of its version
+     */
+    function buildImageTitle(details) {
+        const lines = [`Style: ${details.style || ''}`, `Prompt: ${details.prompt || ''}`];
+        if (details.enhancedPrompt) lines.push(`Enhanced: ${details.enhancedPrompt}`);
+        if (details.rewrittenPrompt) lines.push(`Rewritten: ${details.rewrittenPrompt}`);
+        if (details.seed !== null && details.seed !== undefined) lines.push(`Seed: ${details.seed}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Get DOM element that stands for the tag with given index
+     */
+    function getTagElement(mesTextEl, tagIndex) {
+        return mesTextEl.querySelectorAll('[data-iig-instruction]')[tagIndex] || null;
+    }
+
+    /**
+     * Parse image generation tags from message text
+     */
+    async function parseImageTags(text, options = {}) {
+        const { checkExistence = false, forceAll = false } = options;
+        const tags = [];
+        
+        // NEW FORMAT
+        const instructionTags = findInstructionTags(text);
+        
+        for (let tagIndex = 0; tagIndex < instructionTags.length; tagIndex++) {
+            const entry = instructionTags[tagIndex];
+            const srcValue = entry.src;
+            
+            let needsGeneration = false;
+            const hasMarker = srcValue.includes('[IMG:GEN]') || srcValue.includes('[IMG:');
+            const hasErrorImage = srcValue.includes('error.svg');
+            const hasPath = srcValue && srcValue.startsWith('/') && srcValue.length > 5;
+            
+            if (hasErrorImage && !forceAll) {
+                continue;
+            }
+            
+            if (forceAll) {
+                needsGeneration = true;
+            } else if (hasMarker || !srcValue) {
+                needsGeneration = true;
+            } else if (hasPath && checkExistence) {
+                const exists = await checkFileExists(srcValue);
+                if (!exists) needsGeneration = true;
+            } else if (hasPath) {
+                continue;
+            }
+            
+            if (!needsGeneration) {
+                continue;
+            }
+            
+            try {
+                const data = parseInstructionJson(entry.instructionJson);
+                
+                tags.push(buildTagInfo(data, {
+                    fullMatch: entry.fullMatch,
+                    index: entry.start,
+                    tagIndex: tagIndex,
+                    isNewFormat: true,
+                    existingSrc: hasPath && !hasErrorImage ? srcValue : null
+                }));
+            } catch (e) {
+                iigLog('WARN', `Failed to parse instruction JSON`, e.message);
+            }
+        }
+        
+        // LEGACY FORMAT
+        const marker = '[IMG:GEN:';
+        let searchStart = 0;
+        
+        while (true) {
+            const markerIndex = text.indexOf(marker, searchStart);
+            if (markerIndex === -1) break;
+            
+            const jsonStart = markerIndex + marker.length;
+            const jsonEnd = findJsonEnd(text, jsonStart);
+            
+            if (jsonEnd === -1) { searchStart = jsonStart; continue; }
+            
+            const jsonStr = text.substring(jsonStart, jsonEnd);
+            const afterJson = text.substring(jsonEnd);
+            if (!afterJson.startsWith(']')) { searchStart = jsonEnd; continue; }
+            
+            const tagOnly = text.substring(markerIndex, jsonEnd + 1);
+            
+            try {
+                const normalizedJson = jsonStr.replace(/'/g, '"');
+                const data = JSON.parse(normalizedJson);
+                
+                tags.push(buildTagInfo(data, {
+                    fullMatch: tagOnly,
+                    index: markerIndex,
+                    tagIndex: null,
+                    isNewFormat: false
+                }));
+            } catch (e) {
+                iigLog('WARN', `Failed to parse legacy tag JSON`, e.message);
+            }
+            
+            searchStart = jsonEnd + 1;
+        }
+        
+        return tags;
+    }
+
+    /**
+     * Create loading placeholder element
+     */
+    function createLoadingPlaceholder(tagId, messageId) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'iig-loading-placeholder';
+        placeholder.dataset.tagId = tagId;
+        placeholder.innerHTML = `
+            <div class="iig-spinner"></div>
+            <div class="iig-status">Генерация картинки...</div>
+            <div class="iig-loading-actions">
+                <div class="menu_button iig-cancel-btn" title="Отменить"><i class="fa-solid fa-xmark"></i></div>
+                <div class="menu_button iig-cancel-all-btn" title="Отменить все в сообщении"><i class="fa-solid fa-stop"></i></div>
+            </div>
+        `;
+        
+        placeholder.querySelector('.iig-cancel-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            cancelGeneration(tagId);
+        });
+        placeholder.querySelector('.iig-cancel-all-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            cancelMessageGenerations(getRenderedMessageId(placeholder, messageId));
+        });
+        
+        return placeholder;
+    }
+
+    /**
+     * Get current message ID of a rendered element (IDs shift when earlier messages are deleted)
+     */
+    function getRenderedMessageId(element, fallbackId) {
+        const mesId = element.closest('.mes[mesid]')?.getAttribute('mesid');
+        return mesId !== undefined && mesId !== null ? Number(mesId) : fallbackId;
+    }
+
+    /**
+     * Create placeholder for a cancelled tag. The tag stays [IMG:GEN] in message.mes.
+     */
+    function createCancelledPlaceholder(tagId, tagInfo, messageId, status = 'Генерация отменена') {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'iig-cancelled-placeholder';
+        placeholder.dataset.tagId = tagId;
+        placeholder.innerHTML = `
+            <div class="iig-status">${escapeHtml(status)}</div>
+            <div class="menu_button iig-generate-btn"><i class="fa-solid fa-wand-magic-sparkles"></i> Сгенерировать</div>
+        `;
+        
+        const instruction = tagInfo.isNewFormat ? getTagInstruction(tagInfo.fullMatch) : null;
+        if (instruction) {
+            placeholder.setAttribute('data-iig-instruction', instruction);
+        }
+        
+        placeholder.querySelector('.iig-generate-btn').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const currentId = getRenderedMessageId(placeholder, messageId);
+            if (processingMessages.has(currentId)) {
+                toastr.warning('Сообщение ещё обрабатывается', 'Генерация картинок');
+                return;
+            }
+            // Legacy tags are located by their raw text, so put it back
+            if (!tagInfo.isNewFormat) {
+                placeholder.replaceWith(document.createTextNode(tagInfo.fullMatch));
+            }
+            await processMessageTags(currentId);
+        });
+        
+        return placeholder;
+    }
+
+    // Error image path
+    const ERROR_IMAGE_PATH = `${EXTENSION_PATH}/error.svg`;
+
+    /**
+     * Create error placeholder element
+     */
+    function createErrorPlaceholder(tagId, errorMessage, tagInfo) {
+        const img = document.createElement('img');
+        img.className = 'iig-error-image';
+        img.src = ERROR_IMAGE_PATH;
+        img.alt = 'Ошибка генерации';
+        img.title = `Ошибка: ${errorMessage}`;
+        img.dataset.tagId = tagId;
+        
+        const instruction = tagInfo.fullMatch ? getTagInstruction(tagInfo.fullMatch) : null;
+        if (instruction) {
+            img.setAttribute('data-iig-instruction', instruction);
+        }
+        return img;
+    }
+
+    /**
+     * Extract raw data-iig-instruction attribute value from tag HTML
+     */
+    function getTagInstruction(fullMatch) {
+        const instructionMatch = fullMatch.match(/data-iig-instruction\s*=\s*(['"])([\s\S]*?)\1/i);
+        return instructionMatch ? instructionMatch[2] : null;
+    }
+
+    /**
+     * Get tag ID used for placeholders and cancellation
+     */
+    function getTagId(messageId, tag, index) {
+        return tag.isNewFormat ? `iig-${messageId}-${tag.tagIndex}` : `iig-${messageId}-legacy-${index}`;
+    }
+
+    /**
+     * Check if message has generations in flight
+     */
+    function hasActiveGenerations(messageId) {
+        const message = SillyTavern.getContext().chat[messageId];
+        for (const entry of activeGenerations.values()) {
+            if (entry.target.message === message) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Find DOM elements standing for tags. Legacy tags are wrapped into spans first,
+     * because that rewrites innerHTML and would detach anything found earlier.
+     */
+    function resolveTagTargets(mesTextEl, tags, messageId) {
+        tags.forEach((tag, index) => {
+            if (tag.isNewFormat) return;
+            
+            const tagEscaped = tag.fullMatch
+                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/"/g, '(?:"|&quot;)');
+            const tagRegex = new RegExp(tagEscaped, 'g');
+            
+            mesTextEl.innerHTML = mesTextEl.innerHTML.replace(
+                tagRegex,
+                `<span data-iig-placeholder="${getTagId(messageId, tag, index)}"></span>`
+            );
+        });
+        
+        return tags.map((tag, index) => {
+            if (!tag.isNewFormat) {
+                return mesTextEl.querySelector(`[data-iig-placeholder="${getTagId(messageId, tag, index)}"]`);
+            }
+            
+            const byIndex = getTagElement(mesTextEl, tag.tagIndex);
+            if (byIndex) return byIndex;
+            
+            const searchPrompt = tag.prompt.substring(0, 30);
+            for (const el of mesTextEl.querySelectorAll('[data-iig-instruction]')) {
+                const instruction = el.getAttribute('data-iig-instruction');
+                if (instruction && instruction.includes(searchPrompt)) {
+                    return el;
+                }
+            }
+            
+            for (const img of mesTextEl.querySelectorAll('img')) {
+                const src = img.getAttribute('src') || '';
+                if (src.includes('[IMG:GEN]') || src.includes('[IMG:ERROR]')) {
+                    return img;
+                }
+            }
+            
+            return null;
+        });
+    }
+
+    /**
+     * Generate a single tag: swap its element for a spinner, run through the queue,
+     * then write the result into DOM and message.mes. Returns true on success.
+     * Options: useCache - reuse a cached result, enhance - expand the prompt with the chat LLM first.
+     */
+    async function generateTag(messageId, tag, targetElement, mesTextEl, tagId, options = {}) {
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        
+        // An edit can shift tag indexes under a running job, keep keys unique
+        if (activeGenerations.has(tagId)) {
+            tagId = `${tagId}-${++generationSerial}`;
+        }
+        
+        // Results belong to this message object and swipe, wherever they are by the time the job ends
+        const target = {
+            chatId: context.chatId,
+            message,
+            swipeId: message.swipe_id ?? 0,
+            instructionJson: tag.isNewFormat ? findInstructionTags(tag.fullMatch)[0]?.instructionJson : null,
+        };
+        
+        const instruction = tag.isNewFormat ? getTagInstruction(tag.fullMatch) : null;
+        const loadingPlaceholder = createLoadingPlaceholder(tagId, messageId);
+        if (instruction) loadingPlaceholder.setAttribute('data-iig-instruction', instruction);
+        
+        const controller = new AbortController();
+        activeGenerations.set(tagId, { controller, messageId, target, placeholder: loadingPlaceholder });
+        
+        if (targetElement) {
+            targetElement.replaceWith(loadingPlaceholder);
+        } else {
+            mesTextEl.appendChild(loadingPlaceholder);
+        }
+        
+        const statusEl = loadingPlaceholder.querySelector('.iig-status');
+        // Filled by generateImageWithRetry with values actually sent to the backend
+        const info = {};
+        const streamed = takeStreamingGeneration(messageId, tag);
+        
+        try {
+            // Called by the pipeline after a cache miss, at most once per tag.
+            // Without a usable answer from the LLM the original prompt is generated
+            let enhancement = null;
+            const enhancePrompt = (prompt) => {
+                enhancement ??= (async () => {
+                    statusEl.textContent = 'Улучшение промпта...';
+                    try {
+                        const enhanced = await enhanceTagPrompt(prompt, messageId);
+                        info.enhancedPrompt = enhanced;
+                        iigLog('INFO', `Prompt enhanced for ${tagId}: "${prompt}" -> "${enhanced}"`);
+                        return enhanced;
+                    } catch (error) {
+                        iigLog('WARN', `Prompt enhancement failed for ${tagId}:`, error.message);
+                        return prompt;
+                    }
+                })();
+                return enhancement;
+            };
+            
+            const dataUrl = streamed ? await awaitStreamingGeneration(streamed, controller.signal, statusEl, info) : await queueImageGeneration(
+                tag.prompt,
+                tag.style,
+                (status) => { statusEl.textContent = status; },
+                {
+                    aspectRatio: tag.aspectRatio,
+                    imageSize: tag.imageSize,
+                    quality: tag.quality,
+                    refs: tag.refs,
+                    seed: tag.seed,
+                    negativePrompt: tag.negativePrompt,
+                    messageId,
+                    signal: controller.signal,
+                    info,
+                    useCache: options.useCache,
+                    enhancePrompt: options.enhance ? enhancePrompt : null,
+                }
+            );
+            
+            if (!resolveGenerationTarget(target)) {
+                iigLog('WARN', `Message of ${tagId} was deleted or the chat changed, result dropped`);
+                return false;
+            }
+            
+            let imagePath;
+            if (dataUrl.startsWith('http') || info.cached) {
+                imagePath = dataUrl;
+            } else {
+                statusEl.textContent = 'Сохранение...';
+                imagePath = await saveImageToFile(dataUrl, null, buildImageMetadata(tag, info));
+                if (info.cacheKey) storeCachedResult(info.cacheKey, imagePath, tag.prompt, info);
+            }
+            
+            // Prompt reworded after a safety block replaces the original one only when asked to
+            const replacePrompt = Boolean(info.rewrittenPrompt) && tag.isNewFormat && getSettings().safetyRewriteReplace;
+            
+            const img = document.createElement('img');
+            img.className = 'iig-generated-image';
+            img.src = imagePath;
+            img.alt = info.rewrittenPrompt || info.enhancedPrompt || tag.prompt;
+            img.title = buildImageTitle(buildVersionDetails(tag, info));
+            if (instruction) img.setAttribute('data-iig-instruction', instruction);
+            
+            return applyTagResult(target, tag, loadingPlaceholder, () => img, (destination, tagIndex) => {
+                setTagSrcInMessage(destination, tagIndex, imagePath);
+                if (replacePrompt) {
+                    const updated = setTagPromptInMessage(destination, tagIndex, info.rewrittenPrompt);
+                    if (updated) img.setAttribute('data-iig-instruction', updated);
+                }
+                addTagVersion(destination, tagIndex, imagePath, tag.existingSrc, buildVersionDetails(tag, info));
+            }, `[IMG:✓:${imagePath}]`);
+        } catch (error) {
+            if (isCancelError(error)) {
+                iigLog('INFO', `Generation cancelled for ${tagId}`);
+                applyTagResult(target, tag, loadingPlaceholder, (currentId) => createCancelledPlaceholder(tagId, tag, currentId), (destination, tagIndex) => {
+                    setTagSrcInMessage(destination, tagIndex, '[IMG:GEN]');
+                }, null);
+                return false;
+            }
+            
+            // Over the spending cap the tag stays pending and can be generated later
+            if (isUsageLimitError(error)) {
+                iigLog('WARN', `Generation refused for ${tagId}: ${error.message}`);
+                const applied = applyTagResult(target, tag, loadingPlaceholder, (currentId) => createCancelledPlaceholder(tagId, tag, currentId, error.message), (destination, tagIndex) => {
+                    setTagSrcInMessage(destination, tagIndex, '[IMG:GEN]');
+                }, null);
+                if (applied) {
+                    toastr.warning(error.message, 'Генерация картинок', { preventDuplicates: true });
+                }
+                return false;
+            }
+            
+            iigLog('ERROR', `Failed to generate image for ${tagId}:`, error.message);
+            
+            const applied = applyTagResult(target, tag, loadingPlaceholder, () => createErrorPlaceholder(tagId, error.message, tag), (destination, tagIndex) => {
+                setTagSrcInMessage(destination, tagIndex, ERROR_IMAGE_PATH);
+            }, `[IMG:ERROR:${error.message.substring(0, 50)}]`);
+            
+            if (applied) {
+                toastr.error(`Ошибка генерации: ${error.message}`, 'Генерация картинок');
+            }
+            return false;
+        } finally {
+            activeGenerations.delete(tagId);
+        }
+    }
+
+    /**
+     * Find where a generation result should be written.
+     * Returns null if the message was deleted or the chat changed; a swiped-away message gets a view of its old swipe
+     */
+    function resolveGenerationTarget(target) {
+        const context = SillyTavern.getContext();
+        if (context.chatId !== target.chatId) return null;
+        
+        const messageId = context.chat.indexOf(target.message);
+        if (messageId === -1) return null;
+        
+        const message = target.message;
+        if ((message.swipe_id ?? 0) === target.swipeId) {
+            return { messageId, message, visible: true };
+        }
+        
+        if (!Array.isArray(message.swipes) || typeof message.swipes[target.swipeId] !== 'string') return null;
+        
+        if (!Array.isArray(message.swipe_info)) message.swipe_info = [];
+        if (!message.swipe_info[target.swipeId]) message.swipe_info[target.swipeId] = {};
+        const swipeInfo = message.swipe_info[target.swipeId];
+        if (!swipeInfo.extra) swipeInfo.extra = {};
+        
+        // Same shape as a message, so tag helpers work on the stored swipe
+        const swipe = {
+            get mes() { return message.swipes[target.swipeId]; },
+            set mes(value) { message.swipes[target.swipeId] = value; },
+            extra: swipeInfo.extra,
+        };
+        return { messageId, message: swipe, visible: false };
+    }
+
+    /**
+     * Find current index of a tag by its instruction (other tags may have been added or removed by an edit)
+     */
+    function locateTagIndex(text, tagIndex, instructionJson) {
+        const entries = findInstructionTags(text);
+        if (entries[tagIndex]?.instructionJson === instructionJson) return tagIndex;
+        return entries.findIndex(entry => entry.instructionJson === instructionJson);
+    }
+
+    /**
+     * Write a finished (or failed/cancelled) tag into its message and show the element in place of the spinner.
+     * Returns false if the message or the tag is gone.
+     */
+    function applyTagResult(target, tag, placeholder, createElement, writeTag, legacyReplacement) {
+        const destination = resolveGenerationTarget(target);
+        if (!destination) {
+            iigLog('WARN', 'Message of the tag was deleted or the chat changed, result dropped');
+            return false;
+        }
+        
+        const { messageId, message, visible } = destination;
+        let tagIndex = null;
+        
+        if (tag.isNewFormat) {
+            tagIndex = locateTagIndex(message.mes, tag.tagIndex, target.instructionJson);
+            if (tagIndex === -1) {
+                iigLog('WARN', `Tag #${tag.tagIndex} of message ${messageId} was edited away, result dropped`);
+                return false;
+            }
+            writeTag(message, tagIndex);
+        } else if (legacyReplacement !== null) {
+            if (!message.mes.includes(tag.fullMatch)) {
+                iigLog('WARN', `Legacy tag of message ${messageId} was edited away, result dropped`);
+                return false;
+            }
+            message.mes = message.mes.replace(tag.fullMatch, legacyReplacement);
+            syncCurrentSwipe(message);
+        }
+        
+        if (!visible) return true;
+        
+        const element = createElement(messageId);
+        if (placeholder.isConnected) {
+            placeholder.replaceWith(element);
+        } else if (tagIndex !== null) {
+            // The message was re-rendered (e.g. edited), put the result where the tag is now
+            const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+            const current = mesTextEl ? getTagElement(mesTextEl, tagIndex) : null;
+            current?.replaceWith(element);
+        }
+        return true;
+    }
+
+    /**
+     * Mirror message text and image history into its current swipe, so swiping away and back keeps them
+     */
+    function syncCurrentSwipe(message) {
+        const swipeId = message.swipe_id ?? 0;
+        if (!Array.isArray(message.swipes) || typeof message.swipes[swipeId] !== 'string') return;
+        
+        message.swipes[swipeId] = message.mes;
+        
+        const data = message.extra?.[MODULE_NAME];
+        if (data && Array.isArray(message.swipe_info) && message.swipe_info[swipeId]) {
+            if (!message.swipe_info[swipeId].extra) message.swipe_info[swipeId].extra = {};
+            message.swipe_info[swipeId].extra[MODULE_NAME] = data;
+        }
+    }
+
+    /**
+     * Check if a tag of the message is being generated right now
+     */
+    function isTagGenerating(message, tag) {
+        if (!tag.isNewFormat) return false;
+        
+        const instructionJson = findInstructionTags(tag.fullMatch)[0]?.instructionJson;
+        for (const entry of activeGenerations.values()) {
+            if (entry.target.message === message && entry.target.instructionJson === instructionJson) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Put spinners of in-flight generations back after the message was re-rendered
+     */
+    function reattachGenerationPlaceholders(messageId) {
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+        if (!message || !mesTextEl) return;
+        
+        for (const entry of activeGenerations.values()) {
+            const { target, placeholder } = entry;
+            if (target.message !== message || target.swipeId !== (message.swipe_id ?? 0) || placeholder.isConnected || !target.instructionJson) continue;
+            
+            const tagIndex = locateTagIndex(message.mes, -1, target.instructionJson);
+            const element = tagIndex === -1 ? null : getTagElement(mesTextEl, tagIndex);
+            element?.replaceWith(placeholder);
+        }
+    }
+
+    /**
+     * Cancel generations whose message is no longer in the current chat
+     */
+    function cancelOrphanedGenerations() {
+        const context = SillyTavern.getContext();
+        let count = 0;
+        
+        for (const [tagId, entry] of activeGenerations) {
+            if (context.chatId !== entry.target.chatId || !context.chat.includes(entry.target.message)) {
+                if (cancelGeneration(tagId)) count++;
+            }
+        }
+        
+        for (const messageId of [...streamingGenerations.keys()]) {
+            if (!context.chat[messageId] || context.chat[messageId].is_user) {
+                discardStreamingGenerations(messageId);
+            }
+        }
+        
+        if (count > 0) {
+            iigLog('INFO', `Cancelled ${count} generations of deleted messages`);
+        }
+    }
+
+    /**
+     * Handle message edit: restore spinners and generate tags added by the edit
+     */
+    async function onMessageEdited(messageId) {
+        messageId = Number(messageId);
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        if (!message || message.is_user) return;
+        
+        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+        if (messageElement) {
+            addButtonsToMessage(messageElement, messageId);
+        }
+        
+        syncCurrentSwipe(message);
+        reattachGenerationPlaceholders(messageId);
+        
+        if (processingMessages.has(messageId)) {
+            pendingMessageChecks.add(message);
+            return;
+        }
+        await processMessageTags(messageId);
+    }
+
+    /**
+     * Handle swipe: jobs of the previous swipe keep running and land in that swipe, the shown swipe gets its own tags
+     */
+    async function onMessageSwiped(messageId) {
+        messageId = Number(messageId);
+        discardStreamingGenerations(messageId);
+        
+        // Wait for SillyTavern to render the swipe
+        await sleep(100);
+        
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        // A new swipe being generated arrives through CHARACTER_MESSAGE_RENDERED
+        if (!message || message.is_user || !message.mes || message.mes === '...') return;
+        
+        reattachGenerationPlaceholders(messageId);
+        if (!processingMessages.has(messageId)) {
+            await processMessageTags(messageId);
+        }
+    }
+
+    /**
+     * Remember what the starting generation streams into
+     */
+    function onGenerationStarted(type) {
+        const chat = SillyTavern.getContext().chat;
+        const lastMessage = chat[chat.length - 1];
+        
+        streamingTarget.type = type || 'normal';
+        streamingTarget.tagOffset = streamingTarget.type === 'continue' && lastMessage
+            ? findInstructionTags(lastMessage.mes).length
+            : 0;
+    }
+
+    /**
+     * Start generations for tags that are already complete in the streaming reply
+     */
+    function onStreamToken(text) {
+        const settings = getSettings();
+        if (!settings.enabled || !settings.streamingGeneration || typeof text !== 'string') return;
+        // Impersonation streams into the input field, quiet prompts into nothing
+        if (!['normal', 'swipe', 'continue'].includes(streamingTarget.type)) return;
+        // Enhancement needs the whole reply, such tags start once the message is rendered
+        if (isPromptEnhancementEnabled()) return;
+        
+        const context = SillyTavern.getContext();
+        const messageId = context.chat.length - 1;
+        const message = context.chat[messageId];
+        if (!message || message.is_user || processingMessages.has(messageId)) return;
+        
+        const entries = findInstructionTags(text);
+        if (entries.length === 0) return;
+        
+        if (!streamingGenerations.has(messageId)) {
+            streamingGenerations.set(messageId, new Map());
+        }
+        const jobs = streamingGenerations.get(messageId);
+        
+        entries.forEach((entry, index) => {
+            // A continuation streams only the new text, after the tags the message already had
+            const tagIndex = streamingTarget.tagOffset + index;
+            if (jobs.has(tagIndex)) return;
+            
+            // Same rule as parseImageTags, without file checks
+            const needsGeneration = !entry.src || (entry.src.includes('[IMG:') && !entry.src.includes('error.svg'));
+            if (!needsGeneration) return;
+            
+            let tag;
+            try {
+                tag = buildTagInfo(parseInstructionJson(entry.instructionJson), {});
+            } catch (e) {
+                // Reported by parseImageTags once the message settles
+                return;
+            }
+            if (!tag.prompt) return;
+            
+            const controller = new AbortController();
+            const job = { instructionJson: entry.instructionJson, controller, info: {}, onStatusUpdate: null };
+            job.promise = queueImageGeneration(
+                tag.prompt,
+                tag.style,
+                (status) => job.onStatusUpdate?.(status),
+                {
+                    aspectRatio: tag.aspectRatio,
+                    imageSize: tag.imageSize,
+                    quality: tag.quality,
+                    refs: tag.refs,
+                    seed: tag.seed,
+                    negativePrompt: tag.negativePrompt,
+                    messageId,
+                    signal: controller.signal,
+                    info: job.info,
+                    useCache: true,
+                }
+            );
+            // Errors are reported by whoever takes the job
+            job.promise.catch(() => {});
+            jobs.set(tagIndex, job);
+            
+            iigLog('INFO', `Started streaming generation for message ${messageId}, tag #${tagIndex}`);
+        });
+    }
+
+    /**
+     * Take a generation started during streaming for this tag, if its instruction did not change since
+     */
+    function takeStreamingGeneration(messageId, tag) {
+        const jobs = streamingGenerations.get(messageId);
+        const job = tag.isNewFormat ? jobs?.get(tag.tagIndex) : null;
+        if (!job) return null;
+        
+        jobs.delete(tag.tagIndex);
+        if (!tag.fullMatch.includes(job.instructionJson)) {
+            job.controller.abort(new DOMException('Инструкция изменилась', 'AbortError'));
+            return null;
+        }
+        
+        return job;
+    }
+
+    /**
+     * Wait for a streaming generation, forwarding status and cancellation of the tag
+     */
+    async function awaitStreamingGeneration(job, signal, statusEl, info) {
+        job.onStatusUpdate = (status) => { statusEl.textContent = status; };
+        statusEl.textContent = 'Генерация (начата во время стриминга)...';
+        
+        const onCancel = () => job.controller.abort(signal.reason);
+        signal.addEventListener('abort', onCancel, { once: true });
+        
+        try {
+            const dataUrl = await job.promise;
+            Object.assign(info, job.info);
+            return dataUrl;
+        } finally {
+            signal.removeEventListener('abort', onCancel);
+        }
+    }
+
+    /**
+     * Abort streaming generations nobody took (the tag vanished or the chat changed)
+     */
+    function discardStreamingGenerations(messageId = null) {
+        const messageIds = messageId === null ? [...streamingGenerations.keys()] : [messageId];
+        
+        for (const id of messageIds) {
+            const jobs = streamingGenerations.get(id);
+            if (!jobs) continue;
+            
+            for (const [tagIndex, job] of jobs) {
+                iigLog('INFO', `Discarding streaming generation for message ${id}, tag #${tagIndex}`);
+                job.controller.abort(new DOMException('Генерация отменена', 'AbortError'));
+            }
+            streamingGenerations.delete(id);
+        }
+    }
+
+    /**
+     * Process image tags in a message
+     */
+    async function processMessageTags(messageId) {
+        const context = SillyTavern.getContext();
+        const settings = getSettings();
+        
+        if (!settings.enabled) return;
+        
+        if (processingMessages.has(messageId)) return;
+        
+        const message = context.chat[messageId];
+        if (!message || message.is_user) return;
+        
+        const tags = (await parseImageTags(message.mes, { checkExistence: true }))
+            .filter(tag => !isTagGenerating(message, tag));
+        if (tags.length === 0) {
+            discardStreamingGenerations(messageId);
+            return;
+        }
+        
+        processingMessages.add(messageId);
+        toastr.info(`Найдено тегов: ${tags.length}. Генерация...`, 'Генерация картинок', { timeOut: 3000 });
+        
+        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+        if (!messageElement) {
+            processingMessages.delete(messageId);
+            discardStreamingGenerations(messageId);
+            toastr.error('Не удалось найти элемент сообщения', 'Генерация картинок');
+            return;
+        }
+        
+        const mesTextEl = messageElement.querySelector('.mes_text');
+        if (!mesTextEl) {
+            processingMessages.delete(messageId);
+            discardStreamingGenerations(messageId);
+            return;
+        }
+        
+        const targets = resolveTagTargets(mesTextEl, tags, messageId);
+        let completed = 0;
+        
+        try {
+            const generations = tags.map(async (tag, index) => {
+                const success = await generateTag(messageId, tag, targets[index], mesTextEl, getTagId(messageId, tag, index), {
+                    useCache: true,
+                    enhance: isPromptEnhancementEnabled(),
+                });
+                if (success) {
+                    toastr.success(`Картинка ${++completed}/${tags.length} готова`, 'Генерация картинок');
+                }
+            });
+            // Every tag has taken its streaming job synchronously by now, the rest are stale
+            discardStreamingGenerations(messageId);
+            await Promise.all(generations);
+        } finally {
+            processingMessages.delete(messageId);
+        }
+        
+        await context.saveChat();
+        await runPendingMessageCheck(message);
+    }
+
+    /**
+     * Generate tags added by an edit that came in while the message was being processed
+     */
+    async function runPendingMessageCheck(message) {
+        if (!pendingMessageChecks.delete(message)) return;
+        
+        const messageId = SillyTavern.getContext().chat.indexOf(message);
+        if (messageId !== -1) {
+            await processMessageTags(messageId);
+        }
+    }
+
+    /**
+     * Insert tag HTML into message text: before it, after its first paragraph or after it
+     */
+    function insertIllustrationTag(text, tag, placement) {
+        if (placement === 'top') return `${tag}\n\n${text}`;
+        
+        if (placement === 'paragraph') {
+            const offset = text.length - text.trimStart().length;
+            const match = /\n\s*\n/.exec(text.substring(offset)) || /\n/.exec(text.substring(offset));
+            if (match) {
+                const position = offset + match.index;
+                return `${text.substring(0, position)}\n\n${tag}\n\n${text.substring(position + match[0].length)}`;
+            }
+        }
+        
+        return `${text.trimEnd()}\n\n${tag}`;
+    }
+
+    /**
+     * Describe the scene of a message with the chat LLM and add a new-format tag for it, then generate it
+     */
+    async function illustrateMessage(messageId) {
+        const context = SillyTavern.getContext();
+        const settings = getSettings();
+        const message = context.chat[messageId];
+        if (!message || message.is_user || message.is_system) return false;
+        
+        if (processingMessages.has(messageId) || hasActiveGenerations(messageId)) {
+            toastr.warning('Сообщение ещё обрабатывается', 'Генерация картинок');
+            return false;
+        }
+        
+        processingMessages.add(messageId);
+        let prompt;
+        try {
+            toastr.info('Описываю сцену...', 'Генерация картинок', { timeOut: 3000 });
+            prompt = await describeMessageScene(messageId);
+        } catch (error) {
+            iigLog('ERROR', `Scene description failed for message ${messageId}:`, error.message);
+            toastr.error(`Не удалось описать сцену: ${error.message}`, 'Генерация картинок');
+            return false;
+        } finally {
+            processingMessages.delete(messageId);
+        }
+        
+        // The chat could change or the message be deleted while the LLM answered
+        if (SillyTavern.getContext().chat[messageId] !== message) {
+            iigLog('WARN', `Message ${messageId} changed while its scene was described, illustration dropped`);
+            return false;
+        }
+        
+        const data = settings.autoIllustrateStyle ? { style: settings.autoIllustrateStyle, prompt } : { prompt };
+        const tag = `<img ${buildInstructionAttribute(data)} src="[IMG:GEN]">`;
+        iigLog('INFO', `Illustrating message ${messageId}: "${prompt}"`);
+        
+        message.mes = insertIllustrationTag(message.mes, tag, settings.autoIllustratePlacement);
+        syncCurrentSwipe(message);
+        context.updateMessageBlock(messageId, message);
+        await context.saveChat();
+        await processMessageTags(messageId);
+        return true;
+    }
+
+    /**
+     * Illustrate a fresh reply if auto mode is on and the last N assistant replies had no image tags
+     */
+    async function autoIllustrateMessage(messageId) {
+        const settings = getSettings();
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        if (!message || !freshReplies.delete(message)) return;
+        if (!settings.autoIllustrateEnabled || message.is_user || message.is_system) return;
+        
+        // Counted from the chat itself, so deleted messages and swipes need no bookkeeping
+        const every = Math.max(1, Number(settings.autoIllustrateEvery) || 1);
+        let count = 0;
+        for (let id = messageId; id >= 0 && count < every; id--) {
+            const previous = context.chat[id];
+            if (!previous || previous.is_user || previous.is_system) continue;
+            if (findInstructionTags(previous.mes || '').length > 0) break;
+            count++;
+        }
+        if (count < every) return;
+        
+        await illustrateMessage(messageId);
+    }
+
+    /**
+     * Regenerate all images in a message
+     */
+    async function regenerateMessageImages(messageId) {
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        
+        if (!message) return;
+        
+        if (processingMessages.has(messageId) || hasActiveGenerations(messageId)) {
+            toastr.warning('Сообщение ещё обрабатывается', 'Генерация картинок');
+            return;
+        }
+        
+        const tags = await parseImageTags(message.mes, { forceAll: true });
         if (tags.length === 0) {
             toastr.warning('Нет тегов для перегенерации', 'Генерация картинок');
             return;
         }
         
-        toastr.info(`Перегенерация ${tags.length} картинок...`, 'Генерация картинок');
-        processingMessages.add(messageId);
+        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+        const mesTextEl = messageElement?.querySelector('.mes_text');
+        if (!mesTextEl) return;
+        
+        toastr.info(`Перегенерация ${tags.length} картинок...`, 'Генерация картинок');
+        processingMessages.add(messageId);
+        
+        const targets = resolveTagTargets(mesTextEl, tags, messageId);
+        let completed = 0;
+        
+        try {
+            await Promise.all(tags.map(async (tag, index) => {
+                const success = await generateTag(messageId, tag, targets[index], mesTextEl, getTagId(messageId, tag, index));
+                if (success) {
+                    toastr.success(`Картинка ${++completed}/${tags.length} готова`, 'Генерация картинок');
+                }
+            }));
+        } finally {
+            processingMessages.delete(messageId);
+        }
+        
+        await context.saveChat();
+        await runPendingMessageCheck(message);
+    }
+
+    /**
+     * Regenerate only one tag of a message, addressed by its tag index (overrides replace tag fields, e.g. seed)
+     */
+    async function regenerateTagImage(messageId, tagIndex, overrides = {}) {
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        if (!message) return;
+        
+        const entry = findInstructionTags(message.mes)[tagIndex];
+        if (!entry) {
+            toastr.warning('Тег картинки не найден в сообщении', 'Генерация картинок');
+            return;
+        }
+        
+        let tag;
+        try {
+            tag = buildTagInfo(parseInstructionJson(entry.instructionJson), {
+                fullMatch: entry.fullMatch,
+                index: entry.start,
+                tagIndex: tagIndex,
+                isNewFormat: true,
+                existingSrc: entry.src && !entry.src.includes('error.svg') && !entry.src.includes('[IMG:') ? entry.src : null,
+                ...overrides
+            });
+        } catch (e) {
+            toastr.error(`Не удалось разобрать инструкцию: ${e.message}`, 'Генерация картинок');
+            return;
+        }
+        
+        const tagId = getTagId(messageId, tag, 0);
+        if (isTagGenerating(message, tag)) {
+            toastr.warning('Эта картинка уже генерируется', 'Генерация картинок');
+            return;
+        }
+        
+        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+        const mesTextEl = messageElement?.querySelector('.mes_text');
+        if (!mesTextEl) return;
+        
+        const success = await generateTag(messageId, tag, getTagElement(mesTextEl, tagIndex), mesTextEl, tagId);
+        if (success) {
+            toastr.success('Картинка готова', 'Генерация картинок');
+        }
+        
+        await context.saveChat();
+    }
+
+    /**
+     * Get seed of the currently shown version of a tag
+     */
+    function getTagSeed(messageId, tagIndex) {
+        const message = SillyTavern.getContext().chat[messageId];
+        const history = message ? getTagHistory(message, tagIndex) : null;
+        return parseSeed(history?.versions[history.current]?.seed);
+    }
+
+    /**
+     * Regenerate a tag with the seed of its current version
+     */
+    async function rerollTagWithSameSeed(messageId, tagIndex) {
+        const seed = getTagSeed(messageId, tagIndex);
+        if (seed === null) {
+            toastr.warning('Seed этой картинки неизвестен', 'Генерация картинок');
+            return;
+        }
+        
+        await regenerateTagImage(messageId, tagIndex, { seed });
+    }
+
+    /**
+     * Lock seed of the tag's current version for the whole chat (or unlock if it is already locked)
+     */
+    function toggleChatSeedLock(messageId, tagIndex) {
+        const context = SillyTavern.getContext();
+        const seed = getTagSeed(messageId, tagIndex);
+        const metadata = getChatMetadata();
+        
+        if (seed === null) {
+            toastr.warning('Seed этой картинки неизвестен', 'Генерация картинок');
+            return;
+        }
+        
+        if (parseSeed(metadata.lockedSeed) === seed) {
+            delete metadata.lockedSeed;
+            toastr.info('Seed чата разблокирован', 'Генерация картинок');
+        } else {
+            metadata.lockedSeed = seed;
+            toastr.info(`Seed чата зафиксирован: ${seed}`, 'Генерация картинок');
+        }
+        
+        context.saveMetadata();
+        refreshChatSeed();
+    }
+
+    /**
+     * Switch a tag to another version from its history
+     */
+    async function selectTagVersion(messageId, tagIndex, versionIndex) {
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        if (!message) return;
+        
+        const history = getTagHistory(message, tagIndex);
+        if (!history || versionIndex < 0 || versionIndex >= history.versions.length) return;
+        
+        const version = history.versions[versionIndex];
+        const src = version.src;
+        if (!setTagSrcInMessage(message, tagIndex, src)) return;
+        history.current = versionIndex;
+        
+        // The tag's instruction describes the image, details saved with the version take precedence
+        let instruction = {};
+        try {
+            instruction = parseInstructionJson(findInstructionTags(message.mes)[tagIndex].instructionJson) || {};
+        } catch (e) {
+            // Broken instruction, the tooltip shows what the version has
+        }
+        
+        const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+        const element = mesTextEl ? getTagElement(mesTextEl, tagIndex) : null;
+        if (element?.tagName === 'IMG') {
+            element.src = src;
+            element.classList.remove('iig-error-image');
+            element.classList.add('iig-generated-image');
+            element.title = buildImageTitle({ ...instruction, ...version });
+        }
+        
+        await context.saveChat();
+    }
+
+    /**
+     * Step to previous/next version; stepping past the last one generates a new version (like text swipes)
+     */
+    async function swipeTagVersion(messageId, tagIndex, direction) {
+        const message = SillyTavern.getContext().chat[messageId];
+        if (!message) return;
+        
+        const history = getTagHistory(message, tagIndex);
+        const count = history?.versions.length || 0;
+        const current = history?.current ?? -1;
+        
+        if (direction > 0 && current >= count - 1) {
+            await regenerateTagImage(messageId, tagIndex);
+            return;
+        }
+        
+        const target = current + direction;
+        if (target < 0) return;
+        await selectTagVersion(messageId, tagIndex, target);
+    }
+
+    /**
+     * Find every editable tag in message text: new-format tags, legacy [IMG:GEN:{...}] tags and [IMG:ERROR:...] markers
+     */
+    function findEditableTags(text) {
+        const editable = findInstructionTags(text).map((entry, tagIndex) => {
+            let data = null;
+            try {
+                data = parseInstructionJson(entry.instructionJson);
+            } catch (e) {
+                // Broken JSON is exactly what the editor is for
+            }
+            return { kind: 'new', tagIndex, start: entry.start, fullMatch: entry.fullMatch, raw: entry.instructionJson, data };
+        });
+        
+        const marker = '[IMG:GEN:';
+        let searchStart = 0;
+        while (true) {
+            const markerIndex = text.indexOf(marker, searchStart);
+            if (markerIndex === -1) break;
+            
+            const jsonStart = markerIndex + marker.length;
+            const jsonEnd = findJsonEnd(text, jsonStart);
+            if (jsonEnd === -1 || text[jsonEnd] !== ']') { searchStart = jsonStart; continue; }
+            
+            const raw = text.substring(jsonStart, jsonEnd);
+            let data = null;
+            try {
+                data = JSON.parse(raw.replace(/'/g, '"'));
+            } catch (e) {
+                // Keep raw text for the editor
+            }
+            editable.push({ kind: 'legacy', start: markerIndex, fullMatch: text.substring(markerIndex, jsonEnd + 1), raw, data });
+            searchStart = jsonEnd + 1;
+        }
+        
+        for (const match of text.matchAll(/\[IMG:ERROR:[^\]]*\]/g)) {
+            editable.push({ kind: 'error', start: match.index, fullMatch: match[0], raw: '', data: {} });
+        }
+        
+        return editable.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Build data-iig-instruction attribute with quoting that survives any prompt text
+     */
+    function buildInstructionAttribute(data) {
+        const json = JSON.stringify(data)
+            .replace(/&/g, '&amp;')
+            .replace(/'/g, '&#39;');
+        return `data-iig-instruction='${json}'`;
+    }
+
+    /**
+     * Open dialog with tag fields as a form; saving rewrites the instruction and regenerates the image
+     */
+    async function openInstructionEditor(messageId, tagIndex = null) {
+        const context = SillyTavern.getContext();
+        const message = context.chat[messageId];
+        if (!message) return;
+        
+        const editable = findEditableTags(message.mes);
+        if (editable.length === 0) {
+            toastr.warning('В сообщении нет тегов картинок', 'Генерация картинок');
+            return;
+        }
+        
+        let selected = tagIndex !== null ? editable.findIndex(t => t.kind === 'new' && t.tagIndex === tagIndex) : 0;
+        if (selected === -1) selected = 0;
+        
+        const kindLabels = { new: '', legacy: ' (legacy)', error: ' (ошибка legacy)' };
+        const tagOptions = editable.map((tag, i) => {
+            const prompt = tag.data?.prompt || tag.fullMatch;
+            return `<option value="${i}">${i + 1}${kindLabels[tag.kind]}: ${escapeHtml(prompt.substring(0, 60))}</option>`;
+        }).join('');
+        const ratioOptions = VALID_ASPECT_RATIOS.map(r => `<option value="${r}">${r}</option>`).join('');
+        const sizeOptions = VALID_IMAGE_SIZES.map(s => `<option value="${s}">${s}</option>`).join('');
+        const styleOptions = Object.values(getSettings().stylePresets).map(p => `<option value="${escapeHtml(p.name)}"></option>`).join('');
+        
+        const form = document.createElement('div');
+        form.className = 'iig-editor';
+        form.innerHTML = `
+            <h3>Инструкция картинки</h3>
+            <div class="flex-row">
+                <label for="iig_editor_tag">Тег</label>
+                <select id="iig_editor_tag" class="flex1">${tagOptions}</select>
+            </div>
+            <div class="flex-row">
+                <label for="iig_editor_style">style</label>
+                <input type="text" id="iig_editor_style" class="text_pole flex1" list="iig_editor_styles">
+                <datalist id="iig_editor_styles">${styleOptions}</datalist>
+            </div>
+            <div class="flex-row">
+                <label for="iig_editor_prompt">prompt</label>
+                <textarea id="iig_editor_prompt" class="text_pole flex1" rows="6"></textarea>
+            </div>
+            <div class="flex-row">
+                <label for="iig_editor_ratio">aspect_ratio</label>
+                <select id="iig_editor_ratio" class="flex1"><option value="">—</option>${ratioOptions}</select>
+            </div>
+            <div class="flex-row">
+                <label for="iig_editor_size">image_size</label>
+                <select id="iig_editor_size" class="flex1"><option value="">—</option>${sizeOptions}</select>
+            </div>
+            <div class="flex-row">
+                <label for="iig_editor_quality">quality</label>
+                <select id="iig_editor_quality" class="flex1">
+                    <option value="">—</option>
+                    <option value="standard">standard</option>
+                    <option value="hd">hd</option>
+                </select>
+            </div>
+            <div class="flex-row">
+                <label for="iig_editor_negative">negative_prompt</label>
+                <textarea id="iig_editor_negative" class="text_pole flex1" rows="2"></textarea>
+            </div>
+            <div class="flex-row">
+                <label for="iig_editor_seed">seed</label>
+                <input type="number" id="iig_editor_seed" class="text_pole flex1" min="0" placeholder="Случайный">
+            </div>
+            <div class="flex-row">
+                <label for="iig_editor_refs">refs</label>
+                <input type="text" id="iig_editor_refs" class="text_pole flex1" placeholder="char:outfit_winter, user">
+            </div>
+            <div class="iig-editor-raw hint"></div>
+        `;
+        
+        const field = (id) => form.querySelector(`#${id}`);
+        const fillForm = () => {
+            const tag = editable[selected];
+            const data = tag.data || {};
+            field('iig_editor_tag').value = String(selected);
+            field('iig_editor_style').value = data.style || '';
+            field('iig_editor_prompt').value = data.prompt || '';
+            field('iig_editor_ratio').value = data.aspect_ratio || data.aspectRatio || '';
+            field('iig_editor_size').value = data.image_size || data.imageSize || '';
+            field('iig_editor_quality').value = data.quality || '';
+            field('iig_editor_negative').value = data.negative_prompt || data.negativePrompt || '';
+            field('iig_editor_seed').value = parseSeed(data.seed) ?? '';
+            field('iig_editor_refs').value = Array.isArray(data.refs) ? data.refs.join(', ') : '';
+            
+            const raw = form.querySelector('.iig-editor-raw');
+            if (tag.kind === 'error') {
+                raw.textContent = `Маркер ошибки без инструкции: ${tag.fullMatch}. Заполните поля — маркер будет заменён новым тегом.`;
+            } else if (!tag.data) {
+                raw.textContent = `JSON не разобран, исходный текст: ${tag.raw}`;
+            } else {
+                raw.textContent = '';
+            }
+        };
+        fillForm();
+        field('iig_editor_tag').addEventListener('change', (e) => {
+            selected = Number(e.target.value);
+            fillForm();
+        });
+        
+        const confirmed = await context.callGenericPopup(form, context.POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Сохранить и сгенерировать',
+            cancelButton: 'Отмена',
+            wide: true,
+        });
+        if (!confirmed) return;
+        
+        const tag = editable[selected];
+        const data = { ...(tag.data || {}) };
+        delete data.aspectRatio;
+        delete data.imageSize;
+        delete data.negativePrompt;
+        
+        const values = {
+            style: field('iig_editor_style').value.trim(),
+            prompt: field('iig_editor_prompt').value.trim(),
+            aspect_ratio: field('iig_editor_ratio').value,
+            image_size: field('iig_editor_size').value,
+            quality: field('iig_editor_quality').value,
+            negative_prompt: field('iig_editor_negative').value.trim(),
+            seed: parseSeed(field('iig_editor_seed').value),
+        };
+        const refs = field('iig_editor_refs').value.split(',').map(r => r.trim()).filter(Boolean);
+        for (const [key, value] of Object.entries(values)) {
+            if (value || value === 0) {
+                data[key] = value;
+            } else {
+                delete data[key];
+            }
+        }
+        
+        if (refs.length > 0) {
+            data.refs = refs;
+        } else {
+            delete data.refs;
+        }
+        
+        if (!data.prompt) {
+            toastr.warning('Промпт не может быть пустым', 'Генерация картинок');
+            return;
+        }
+        
+        const attribute = buildInstructionAttribute(data);
+        
+        if (tag.kind === 'new') {
+            if (isTagGenerating(message, { isNewFormat: true, fullMatch: tag.fullMatch })) {
+                toastr.warning('Эта картинка уже генерируется', 'Генерация картинок');
+                return;
+            }
+            
+            const entry = findInstructionTags(message.mes)[tag.tagIndex];
+            if (!entry) return;
+            
+            message.mes = message.mes.substring(0, entry.attrStart) + attribute + message.mes.substring(entry.attrEnd);
+            syncCurrentSwipe(message);
+            await context.saveChat();
+            
+            const mesTextEl = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+            if (mesTextEl) getTagElement(mesTextEl, tag.tagIndex)?.setAttribute('data-iig-instruction', JSON.stringify(data));
+            
+            await regenerateTagImage(messageId, tag.tagIndex);
+            return;
+        }
+        
+        // Legacy tags and error markers become new-format tags; the message is re-rendered to show them
+        if (processingMessages.has(messageId) || hasActiveGenerations(messageId)) {
+            toastr.warning('Сообщение ещё обрабатывается', 'Генерация картинок');
+            return;
+        }
+        
+        const position = message.mes.indexOf(tag.fullMatch);
+        if (position === -1) return;
+        
+        message.mes = message.mes.substring(0, position) + `<img ${attribute} src="[IMG:GEN]">` + message.mes.substring(position + tag.fullMatch.length);
+        syncCurrentSwipe(message);
+        context.updateMessageBlock(messageId, message);
+        await context.saveChat();
+        await processMessageTags(messageId);
+    }
+
+    /**
+     * Generate one image outside of message tags and save it, same flow as automatic tags
+     */
+    async function generateStandaloneImage(data, messageId) {
+        const info = {};
+        const dataUrl = await queueImageGeneration(data.prompt, data.style || '', null, {
+            aspectRatio: data.aspect_ratio || null,
+            imageSize: data.image_size || null,
+            seed: parseSeed(data.seed),
+            negativePrompt: data.negative_prompt || null,
+            messageId,
+            info,
+        });
+        
+        if (dataUrl.startsWith('http')) {
+            return { path: dataUrl, info };
+        }
+        
+        const path = await saveImageToFile(dataUrl, null, buildImageMetadata(data, info));
+        if (info.cacheKey) storeCachedResult(info.cacheKey, path, data.prompt, info);
+        return { path, info };
+    }
+
+    /**
+     * Append a finished image tag to a message and remember it as the tag's first version
+     */
+    function appendImageTagToMessage(message, data, path, info) {
+        const tag = `<img ${buildInstructionAttribute(data)} src="${path}">`;
+        message.mes = message.mes ? `${message.mes}\n\n${tag}` : tag;
+        
+        const tagIndex = findInstructionTags(message.mes).length - 1;
+        syncCurrentSwipe(message);
+        addTagVersion(message, tagIndex, path, null, buildVersionDetails(data, info));
+    }
+
+    /**
+     * Regenerate all tags that ended with an error image; returns number of retried tags
+     */
+    async function retryFailedTags(messageIds) {
+        const context = SillyTavern.getContext();
+        let retried = 0;
+        
+        for (const messageId of messageIds) {
+            const message = context.chat[messageId];
+            if (!message || message.is_user) continue;
+            
+            const entries = findInstructionTags(message.mes);
+            for (let tagIndex = 0; tagIndex < entries.length; tagIndex++) {
+                if (!entries[tagIndex].src.includes('error.svg')) continue;
+                
+                await regenerateTagImage(messageId, tagIndex);
+                retried++;
+            }
+            
+            if (/\[IMG:ERROR:[^\]]*\]/.test(message.mes)) {
+                iigLog('WARN', `Message ${messageId} has legacy error markers without instruction, use the editor to retry them`);
+            }
+        }
+        
+        return retried;
+    }
+
+    /**
+     * Register STscript slash commands
+     */
+    function registerSlashCommands() {
+        const context = SillyTavern.getContext();
+        const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = context;
+        if (!SlashCommandParser || !SlashCommand) {
+            iigLog('WARN', 'Slash command API is not available, commands are not registered');
+            return;
+        }
+        
+        const parseMessageId = (value) => {
+            const lastId = context.chat.length - 1;
+            if (value === undefined || value === null || String(value).trim() === '') return lastId;
+            
+            const id = Number(value);
+            if (!Number.isInteger(id) || !context.chat[id]) {
+                throw new Error(`Сообщение ${value} не найдено`);
+            }
+            return id;
+        };
+        
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'iig-gen',
+            returns: 'путь к картинке',
+            helpString: 'Генерирует картинку по промпту и возвращает путь к ней. <code>insert=current</code> добавляет её в последнее сообщение персонажа, <code>insert=new</code> — новым сообщением.',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'style', description: 'стиль или пресет стиля', typeList: [ARGUMENT_TYPE.STRING] }),
+                SlashCommandNamedArgument.fromProps({ name: 'ratio', description: 'соотношение сторон', typeList: [ARGUMENT_TYPE.STRING], enumList: VALID_ASPECT_RATIOS }),
+                SlashCommandNamedArgument.fromProps({ name: 'size', description: 'размер', typeList: [ARGUMENT_TYPE.STRING], enumList: VALID_IMAGE_SIZES }),
+                SlashCommandNamedArgument.fromProps({ name: 'seed', description: 'seed', typeList: [ARGUMENT_TYPE.NUMBER] }),
+                SlashCommandNamedArgument.fromProps({ name: 'negative', description: 'негативный промпт', typeList: [ARGUMENT_TYPE.STRING] }),
+                SlashCommandNamedArgument.fromProps({ name: 'insert', description: 'куда вставить картинку', typeList: [ARGUMENT_TYPE.STRING], enumList: ['none', 'current', 'new'], defaultValue: 'none' }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'промпт', typeList: [ARGUMENT_TYPE.STRING], isRequired: true }),
+            ],
+            callback: async (args, prompt) => {
+                const data = { style: args.style, prompt: String(prompt || '').trim() };
+                if (args.ratio) data.aspect_ratio = args.ratio;
+                if (args.size) data.image_size = args.size;
+                if (parseSeed(args.seed) !== null) data.seed = parseSeed(args.seed);
+                if (args.negative) data.negative_prompt = args.negative;
+                if (!data.style) delete data.style;
+                
+                if (!data.prompt) {
+                    toastr.warning('Промпт не может быть пустым', 'Генерация картинок');
+                    return '';
+                }
+                
+                const insert = args.insert || 'none';
+                let targetId;
+                if (insert === 'current') {
+                    targetId = context.chat.findLastIndex(message => message && !message.is_user && !message.is_system);
+                    if (targetId === -1) {
+                        toastr.warning('В чате нет сообщения персонажа', 'Генерация картинок');
+                        return '';
+                    }
+                }
+                
+                try {
+                    const { path, info } = await generateStandaloneImage(data, targetId);
+                    
+                    if (insert === 'current' && context.chat[targetId]) {
+                        appendImageTagToMessage(context.chat[targetId], data, path, info);
+                        context.updateMessageBlock(targetId, context.chat[targetId]);
+                        await context.saveChat();
+                    } else if (insert === 'new') {
+                        const message = {
+                            name: context.name2,
+                            is_user: false,
+                            is_system: false,
+                            send_date: Date.now(),
+                            mes: '',
+                            extra: {},
+                        };
+                        if (context.characterId !== undefined && context.characterId !== null) {
+                            message.original_avatar = context.characters[context.characterId]?.avatar;
+                        }
+                        appendImageTagToMessage(message, data, path, info);
+                        context.chat.push(message);
+                        context.addOneMessage(message);
+                        
+                        // Only this extension handles the new message, other listeners of the render event are not re-run
+                        const messageId = context.chat.length - 1;
+                        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+                        if (messageElement) addButtonsToMessage(messageElement, messageId);
+                        await context.saveChat();
+                        await processMessageTags(messageId);
+                    }
+                    
+                    return path;
+                } catch (error) {
+                    iigLog('ERROR', `/iig-gen failed: ${error.message}`);
+                    toastr.error(`Ошибка генерации: ${error.message}`, 'Генерация картинок');
+                    return '';
+                }
+            },
+        }));
+        
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'iig-regen',
+            helpString: 'Перегенерирует все картинки сообщения (по умолчанию последнего).',
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'ID сообщения', typeList: [ARGUMENT_TYPE.NUMBER] }),
+            ],
+            callback: async (args, value) => {
+                await regenerateMessageImages(parseMessageId(value));
+                return '';
+            },
+        }));
+        
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'iig-illustrate',
+            helpString: 'Описывает сцену сообщения (по умолчанию последнего) через LLM чата и добавляет в него картинку.',
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'ID сообщения', typeList: [ARGUMENT_TYPE.NUMBER] }),
+            ],
+            callback: async (args, value) => {
+                await illustrateMessage(parseMessageId(value));
+                return '';
+            },
+        }));
+        
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'iig-retry-failed',
+            returns: 'число перезапущенных картинок',
+            helpString: 'Повторяет генерацию картинок с ошибкой в указанном сообщении или во всём чате.',
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'ID сообщения', typeList: [ARGUMENT_TYPE.NUMBER] }),
+            ],
+            callback: async (args, value) => {
+                const messageIds = value !== undefined && String(value).trim() !== ''
+                    ? [parseMessageId(value)]
+                    : context.chat.map((_, id) => id);
+                return String(await retryFailedTags(messageIds));
+            },
+        }));
+        
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'iig-profile',
+            returns: 'название активного профиля',
+            helpString: 'Переключает активный профиль подключения по названию. Без аргумента возвращает название текущего профиля.',
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'название профиля', typeList: [ARGUMENT_TYPE.STRING] }),
+            ],
+            callback: async (args, value) => {
+                const settings = getSettings();
+                const name = String(value || '').trim();
+                if (!name) return getActiveProfile().name;
+                
+                const id = Object.keys(settings.profiles).find(key => settings.profiles[key].name.toLowerCase() === name.toLowerCase());
+                if (!id) {
+                    toastr.error(`Профиль «${name}» не найден`, 'Генерация картинок');
+                    return '';
+                }
+                
+                settings.activeProfileId = id;
+                saveSettings();
+                refreshProfileSelectors();
+                fillProfileFields();
+                return settings.profiles[id].name;
+            },
+        }));
+        
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'iig-export',
+            helpString: 'Экспортирует чат с картинками в один HTML-файл (format=html) или ZIP с папкой images/ (format=zip). Аргумент — диапазон сообщений, например 10-25; без него экспортируется весь чат.',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({ name: 'format', description: 'html или zip', typeList: [ARGUMENT_TYPE.STRING], enumList: ['html', 'zip'], defaultValue: 'html' }),
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'диапазон сообщений', typeList: [ARGUMENT_TYPE.STRING] }),
+            ],
+            callback: async (args, value) => {
+                await exportChat(args.format === 'zip' ? 'zip' : 'html', value);
+                return '';
+            },
+        }));
+        
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'iig-gallery',
+            helpString: 'Открывает галерею картинок текущего чата.',
+            callback: async () => {
+                openGallery();
+                return '';
+            },
+        }));
+    }
+
+    /**
+     * Load shipped templates from extension files (only missing ones unless overwrite is set)
+     */
+    async function loadShippedTemplates(overwrite = false) {
+        const settings = getSettings();
+        
+        for (const [id, shipped] of Object.entries(SHIPPED_TEMPLATES)) {
+            if (settings.injectTemplates[id] && !overwrite) continue;
+            
+            try {
+                const response = await fetch(`${EXTENSION_PATH}/${shipped.file}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                let text = await response.text();
+                for (const [literal, variable] of shipped.variables ?? []) {
+                    text = text.replace(literal, variable);
+                }
+                settings.injectTemplates[id] = { name: shipped.name, text };
+            } catch (error) {
+                iigLog('WARN', `Failed to load template ${shipped.file}: ${error.message}`);
+            }
+        }
+        
+        saveSettings();
+    }
+
+    /**
+     * Check if instruction injection is on for the current chat (chat toggle overrides global one)
+     */
+    function isInjectionEnabled() {
+        const chatValue = getChatMetadata().injectEnabled;
+        return typeof chatValue === 'boolean' ? chatValue : getSettings().injectEnabled;
+    }
+
+    /**
+     * Fill extension variables of an injection template
+     */
+    function renderInjectionTemplate(text) {
+        const quote = (values) => values.map(v => `"${v}"`).join(', ');
+        const variables = {
+            iig_aspect_ratios: quote(VALID_ASPECT_RATIOS),
+            iig_image_sizes: quote(VALID_IMAGE_SIZES),
+            iig_styles: quote(Object.values(getSettings().stylePresets).map(p => p.name)),
+        };
+        
+        return text.replace(/\{\{(iig_\w+)\}\}/g, (match, name) => variables[name] ?? match);
+    }
+
+    /**
+     * Set or clear the instruction block in the LLM prompt
+     */
+    function updateInstructionInjection() {
+        const context = SillyTavern.getContext();
+        if (typeof context.setExtensionPrompt !== 'function') return;
+        
+        const settings = getSettings();
+        const template = settings.injectTemplates[settings.injectTemplateId];
+        const text = settings.enabled && isInjectionEnabled() && template ? renderInjectionTemplate(template.text) : '';
+        
+        context.setExtensionPrompt(MODULE_NAME, text, Number(settings.injectPosition), Number(settings.injectDepth), false, Number(settings.injectRole));
+    }
+
+    // Floating toolbar shown over hovered tag images
+    const imageToolbar = {
+        element: null,
+        target: null,
+        hideTimer: null,
+    };
+
+    /**
+     * Get message ID and tag index for a tag element in chat
+     */
+    function locateTagElement(element) {
+        const messageElement = element.closest('.mes[mesid]');
+        const mesTextEl = element.closest('.mes_text');
+        if (!messageElement || !mesTextEl) return null;
+        
+        const messageId = parseInt(messageElement.getAttribute('mesid'), 10);
+        const tagIndex = Array.from(mesTextEl.querySelectorAll('[data-iig-instruction]')).indexOf(element);
+        if (Number.isNaN(messageId) || tagIndex === -1) return null;
+        
+        return { messageId, tagIndex };
+    }
+
+    /**
+     * Show image toolbar over the top-right corner of an image
+     */
+    function showImageToolbar(img) {
+        const toolbar = imageToolbar.element;
+        clearTimeout(imageToolbar.hideTimer);
+        imageToolbar.target = img;
+        
+        const location = locateTagElement(img);
+        const message = location ? SillyTavern.getContext().chat[location.messageId] : null;
+        const history = message ? getTagHistory(message, location.tagIndex) : null;
+        const count = history?.versions.length || 0;
+        toolbar.classList.toggle('iig-has-versions', count > 1);
+        toolbar.querySelector('.iig-toolbar-counter').textContent = count > 1 ? `${history.current + 1}/${count}` : '';
+        
+        toolbar.classList.add('visible');
+        const rect = img.getBoundingClientRect();
+        toolbar.style.top = `${Math.max(rect.top + 6, 0)}px`;
+        toolbar.style.left = `${Math.max(rect.right - toolbar.offsetWidth - 6, rect.left)}px`;
+    }
+
+    /**
+     * Hide image toolbar after a short delay, so the pointer can travel onto it
+     */
+    function scheduleImageToolbarHide() {
+        clearTimeout(imageToolbar.hideTimer);
+        imageToolbar.hideTimer = setTimeout(() => {
+            imageToolbar.element?.classList.remove('visible');
+            imageToolbar.target = null;
+        }, 300);
+    }
+
+    /**
+     * Create image toolbar and bind hover handlers on chat
+     */
+    function initImageToolbar() {
+        const chat = document.getElementById('chat');
+        if (!chat || imageToolbar.element) return;
+        
+        const toolbar = document.createElement('div');
+        toolbar.id = 'iig_image_toolbar';
+        toolbar.className = 'iig-image-toolbar';
+        toolbar.innerHTML = `
+            <div class="iig-toolbar-btn iig-version-control" data-action="prev" title="Предыдущая версия"><i class="fa-solid fa-chevron-left"></i></div>
+            <div class="iig-toolbar-counter iig-version-control"></div>
+            <div class="iig-toolbar-btn iig-version-control" data-action="next" title="Следующая версия (на последней — новая)"><i class="fa-solid fa-chevron-right"></i></div>
+            <div class="iig-toolbar-btn" data-action="edit" title="Редактировать инструкцию"><i class="fa-solid fa-pen-to-square"></i></div>
+            <div class="iig-toolbar-btn" data-action="reroll-seed" title="Перегенерировать с тем же seed"><i class="fa-solid fa-seedling"></i></div>
+            <div class="iig-toolbar-btn" data-action="lock-seed" title="Зафиксировать seed этой картинки для чата"><i class="fa-solid fa-lock"></i></div>
+            <div class="iig-toolbar-btn" data-action="regenerate" title="Перегенерировать эту картинку"><i class="fa-solid fa-rotate"></i></div>
+            <div class="iig-toolbar-btn" data-action="metadata" title="Метаданные генерации"><i class="fa-solid fa-circle-info"></i></div>
+        `;
+        document.body.appendChild(toolbar);
+        imageToolbar.element = toolbar;
+        
+        const isTagImage = (el) => {
+            const img = el?.closest?.('img[data-iig-instruction]');
+            if (!img || !img.closest('.mes_text')) return null;
+            
+            const mesId = img.closest('.mes[mesid]')?.getAttribute('mesid');
+            const message = SillyTavern.getContext().chat?.[mesId];
+            return message && !message.is_user ? img : null;
+        };
+        
+        chat.addEventListener('mouseover', (e) => {
+            const img = isTagImage(e.target);
+            if (img) showImageToolbar(img);
+        });
+        chat.addEventListener('mouseout', (e) => {
+            if (isTagImage(e.target)) scheduleImageToolbarHide();
+        });
+        chat.addEventListener('scroll', () => {
+            if (imageToolbar.target) showImageToolbar(imageToolbar.target);
+        }, { passive: true });
+        
+        // Horizontal swipe on an image switches versions
+        let touchStart = null;
+        chat.addEventListener('touchstart', (e) => {
+            const img = isTagImage(e.target);
+            touchStart = img && e.touches.length === 1 ? { img, x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+        }, { passive: true });
+        chat.addEventListener('touchend', async (e) => {
+            if (!touchStart) return;
+            const { img, x, y } = touchStart;
+            touchStart = null;
+            
+            const dx = e.changedTouches[0].clientX - x;
+            const dy = e.changedTouches[0].clientY - y;
+            if (Math.abs(dx) < 60 || Math.abs(dy) > 40) return;
+            
+            const location = locateTagElement(img);
+            if (!location) return;
+            e.stopPropagation();
+            await swipeTagVersion(location.messageId, location.tagIndex, dx < 0 ? 1 : -1);
+        });
+        
+        toolbar.addEventListener('mouseenter', () => clearTimeout(imageToolbar.hideTimer));
+        toolbar.addEventListener('mouseleave', scheduleImageToolbarHide);
+        toolbar.addEventListener('click', async (e) => {
+            const btn = e.target.closest('.iig-toolbar-btn');
+            const target = imageToolbar.target;
+            if (!btn || !target) return;
+            e.stopPropagation();
+            
+            const location = locateTagElement(target);
+            if (!location) return;
+            
+            if (btn.dataset.action === 'prev' || btn.dataset.action === 'next') {
+                const swipe = swipeTagVersion(location.messageId, location.tagIndex, btn.dataset.action === 'next' ? 1 : -1);
+                // Regenerating on the last version swaps the image for a spinner
+                if (target.isConnected) {
+                    showImageToolbar(target);
+                } else {
+                    toolbar.classList.remove('visible');
+                    imageToolbar.target = null;
+                }
+                await swipe;
+                if (target.isConnected && imageToolbar.target === target) showImageToolbar(target);
+                return;
+            }
+            
+            toolbar.classList.remove('visible');
+            imageToolbar.target = null;
+            
+            if (btn.dataset.action === 'regenerate') {
+                await regenerateTagImage(location.messageId, location.tagIndex);
+            } else if (btn.dataset.action === 'edit') {
+                await openInstructionEditor(location.messageId, location.tagIndex);
+            } else if (btn.dataset.action === 'reroll-seed') {
+                await rerollTagWithSameSeed(location.messageId, location.tagIndex);
+            } else if (btn.dataset.action === 'lock-seed') {
+                toggleChatSeedLock(location.messageId, location.tagIndex);
+            } else if (btn.dataset.action === 'metadata') {
+                await showImageMetadata(target.getAttribute('src'));
+            }
+        });
+    }
+
+    /**
+     * Add regenerate button to message
+     */
+    function addRegenerateButton(messageElement, messageId) {
+        if (messageElement.querySelector('.iig-regenerate-btn')) return;
+        
+        const extraMesButtons = messageElement.querySelector('.extraMesButtons');
+        if (!extraMesButtons) return;
+        
+        const btn = document.createElement('div');
+        btn.className = 'mes_button iig-regenerate-btn fa-solid fa-images interactable';
+        btn.title = 'Перегенерировать картинки';
+        btn.tabIndex = 0;
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await regenerateMessageImages(getRenderedMessageId(btn, messageId));
+        });
+        
+        extraMesButtons.appendChild(btn);
+    }
+
+    /**
+     * Add "edit image instructions" button to message
+     */
+    function addEditButton(messageElement, messageId) {
+        if (messageElement.querySelector('.iig-edit-btn')) return;
+        
+        const extraMesButtons = messageElement.querySelector('.extraMesButtons');
+        if (!extraMesButtons) return;
+        
+        const btn = document.createElement('div');
+        btn.className = 'mes_button iig-edit-btn fa-solid fa-pen-to-square interactable';
+        btn.title = 'Редактировать инструкции картинок';
+        btn.tabIndex = 0;
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await openInstructionEditor(getRenderedMessageId(btn, messageId));
+        });
+        
+        extraMesButtons.appendChild(btn);
+    }
+
+    /**
+     * Add "illustrate scene" button to message
+     */
+    function addIllustrateButton(messageElement, messageId) {
+        if (messageElement.querySelector('.iig-illustrate-btn')) return;
+        
+        const extraMesButtons = messageElement.querySelector('.extraMesButtons');
+        if (!extraMesButtons) return;
+        
+        const btn = document.createElement('div');
+        btn.className = 'mes_button iig-illustrate-btn fa-solid fa-wand-magic-sparkles interactable';
+        btn.title = 'Проиллюстрировать сцену';
+        btn.tabIndex = 0;
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await illustrateMessage(getRenderedMessageId(btn, messageId));
+        });
+        
+        extraMesButtons.appendChild(btn);
+    }
+
+    /**
+     * Add "cancel all generations" button to message
+     */
+    function addCancelButton(messageElement, messageId) {
+        if (messageElement.querySelector('.iig-cancel-mes-btn')) return;
+        
+        const extraMesButtons = messageElement.querySelector('.extraMesButtons');
+        if (!extraMesButtons) return;
+        
+        const btn = document.createElement('div');
+        btn.className = 'mes_button iig-cancel-mes-btn fa-solid fa-stop interactable';
+        btn.title = 'Отменить генерацию картинок';
+        btn.tabIndex = 0;
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const count = cancelMessageGenerations(getRenderedMessageId(btn, messageId));
+            if (count === 0) {
+                toastr.info('Нет активных генераций в этом сообщении', 'Генерация картинок');
+            } else {
+                toastr.info(`Отменено: ${count}`, 'Генерация картинок');
+            }
+        });
+        
+        extraMesButtons.appendChild(btn);
+    }
+
+    /**
+     * Add all extension buttons to message menu
+     */
+    function addButtonsToMessage(messageElement, messageId) {
+        addRegenerateButton(messageElement, messageId);
+        addEditButton(messageElement, messageId);
+        addIllustrateButton(messageElement, messageId);
+        addCancelButton(messageElement, messageId);
+    }
+
+    /**
+     * Add buttons to all existing AI messages
+     */
+    function addButtonsToExistingMessages() {
+        const context = SillyTavern.getContext();
+        if (!context.chat || context.chat.length === 0) return;
+        
+        const messageElements = document.querySelectorAll('#chat .mes');
+        for (const messageElement of messageElements) {
+            const mesId = messageElement.getAttribute('mesid');
+            if (mesId === null) continue;
+            
+            const messageId = parseInt(mesId, 10);
+            const message = context.chat[messageId];
+            
+            if (message && !message.is_user) {
+                addButtonsToMessage(messageElement, messageId);
+            }
+        }
+    }
+
+    /**
+     * Handle CHARACTER_MESSAGE_RENDERED event
+     */
+    async function onMessageReceived(messageId) {
+        const settings = getSettings();
+        if (!settings.enabled) return;
+        
+        const context = SillyTavern.getContext();
+        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+        if (!messageElement) return;
+        
+        addButtonsToMessage(messageElement, messageId);
+        await processMessageTags(messageId);
+        await autoIllustrateMessage(messageId);
+    }
+
+    /**
+     * Check that a tag src points to an actual image (not a placeholder or the error picture)
+     */
+    function isGeneratedSrc(src) {
+        return Boolean(src) && !src.includes('[IMG:') && !src.includes('error.svg');
+    }
+
+    /**
+     * Collect images produced in a chat: every stored version of every tag, or the tag src if it has no history
+     */
+    function collectChatImages(chat, chatName, isCurrent) {
+        const items = [];
+        
+        chat.forEach((message, messageId) => {
+            if (!message || message.is_user || typeof message.mes !== 'string') return;
+            
+            findInstructionTags(message.mes).forEach((entry, tagIndex) => {
+                let data = {};
+                try {
+                    data = parseInstructionJson(entry.instructionJson);
+                } catch (e) {
+                    // Broken instruction, the image is still listed
+                }
+                
+                const history = getTagHistory(message, tagIndex);
+                const versions = history?.versions?.length ? history.versions : [{ src: entry.src, created: null }];
+                
+                versions.forEach((version, versionIndex) => {
+                    if (!isGeneratedSrc(version.src)) return;
+                    items.push({
+                        src: version.src,
+                        prompt: version.prompt || data.prompt || '',
+                        style: version.style ?? data.style ?? '',
+                        model: version.model || null,
+                        provider: version.provider || null,
+                        created: version.created || message.send_date || null,
+                        messageId: messageId,
+                        tagIndex: tagIndex,
+                        versionIndex: versionIndex,
+                        chatName: chatName,
+                        isCurrent: isCurrent,
+                    });
+                });
+            });
+        });
+        
+        return items;
+    }
+
+    /**
+     * Load images from all other chats of a character
+     */
+    async function collectCharacterChatImages(character, currentChatName) {
+        const context = SillyTavern.getContext();
+        
+        const listResponse = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: character.avatar })
+        });
+        if (!listResponse.ok) {
+            throw new Error(`Chat list request failed: ${listResponse.status}`);
+        }
+        
+        const list = await listResponse.json();
+        const chatNames = (Array.isArray(list) ? list : Object.values(list))
+            .map(chat => String(chat?.file_name || '').replace(/\.jsonl$/, ''))
+            .filter(name => name && name !== currentChatName);
+        
+        const items = [];
+        for (const chatName of chatNames) {
+            const response = await fetch('/api/chats/get', {
+                method: 'POST',
+                headers: context.getRequestHeaders(),
+                body: JSON.stringify({ ch_name: character.name, file_name: chatName, avatar_url: character.avatar })
+            });
+            if (!response.ok) {
+                iigLog('WARN', `Failed to load chat ${chatName}: ${response.status}`);
+                continue;
+            }
+            
+            const data = await response.json();
+            if (!Array.isArray(data)) continue;
+            // First line of a chat file is the metadata header
+            const messages = data[0] && data[0].mes === undefined ? data.slice(1) : data;
+            items.push(...collectChatImages(messages, chatName, false));
+        }
+        
+        return items;
+    }
+
+    /**
+     * Format version date for gallery cards
+     */
+    function formatGalleryDate(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+    }
+
+    /**
+     * Download selected gallery images as a single zip archive
+     */
+    async function downloadGalleryZip(items) {
+        const files = [];
+        const usedNames = new Set();
+        
+        for (const item of items) {
+            try {
+                const response = await fetch(item.src);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const data = new Uint8Array(await response.arrayBuffer());
+                files.push({ name: uniqueFileName(getImageFileName(item.src), usedNames), data });
+            } catch (error) {
+                iigLog('WARN', `Gallery: failed to fetch ${item.src}: ${error.message}`);
+            }
+        }
+        
+        if (files.length === 0) {
+            toastr.error('Не удалось загрузить ни одной картинки', 'Генерация картинок');
+            return;
+        }
+        if (files.length < items.length) {
+            toastr.warning(`Пропущено картинок: ${items.length - files.length}`, 'Генерация картинок');
+        }
+        
+        const context = SillyTavern.getContext();
+        const character = context.characters?.[context.characterId];
+        const prefix = (character?.name || 'iig').replace(/[\\/:*?"<>|]/g, '_');
+        downloadBlob(createZip(files), `${prefix}_images_${new Date().toISOString().slice(0, 10)}.zip`);
+    }
+
+    /**
+     * Open gallery of images generated in the current chat (optionally all chats of the character)
+     */
+    async function openGallery() {
+        const context = SillyTavern.getContext();
+        if (!context.chat || context.chatId === undefined || context.chatId === null) {
+            toastr.warning('Сначала откройте чат', 'Генерация картинок');
+            return;
+        }
+        
+        const currentChatName = String(context.chatId);
+        const character = context.groupId ? null : context.characters?.[context.characterId];
+        const currentItems = collectChatImages(context.chat, currentChatName, true).reverse();
+        let otherItems = null;
+        let items = currentItems;
+        const selected = new Set();
+        
+        const element = document.createElement('div');
+        element.className = 'iig-gallery';
+        element.innerHTML = `
+            <div class="iig-gallery-filters">
+                <input type="search" class="text_pole flex1 iig-gallery-search" placeholder="Поиск по промпту">
+                <select class="text_pole iig-gallery-style"></select>
+                <label class="checkbox_label" title="${character ? '' : 'Недоступно в групповых чатах'}">
+                    <input type="checkbox" class="iig-gallery-all-chats" ${character ? '' : 'disabled'}>
+                    <span>Все чаты персонажа</span>
+                </label>
+            </div>
+            <div class="iig-gallery-actions">
+                <span class="iig-gallery-count"></span>
+                <div class="menu_button iig-gallery-select-all"><i class="fa-solid fa-check-double"></i> Выбрать все</div>
+                <div class="menu_button iig-gallery-zip"><i class="fa-solid fa-file-zipper"></i> Скачать ZIP</div>
+            </div>
+            <div class="iig-gallery-grid"></div>
+        `;
+        
+        const searchInput = element.querySelector('.iig-gallery-search');
+        const styleSelect = element.querySelector('.iig-gallery-style');
+        const allChatsCheckbox = element.querySelector('.iig-gallery-all-chats');
+        const grid = element.querySelector('.iig-gallery-grid');
+        const count = element.querySelector('.iig-gallery-count');
+        
+        const getVisibleItems = () => {
+            const query = searchInput.value.trim().toLowerCase();
+            const style = styleSelect.value;
+            return items.filter(item => (style === '' || item.style === style)
+                && (!query || item.prompt.toLowerCase().includes(query)));
+        };
+        
+        const render = () => {
+            const styles = [...new Set(items.map(item => item.style))].sort();
+            const currentStyle = styleSelect.value;
+            styleSelect.innerHTML = '<option value="">Все стили</option>' + styles
+                .map(style => `<option value="${escapeHtml(style)}">${escapeHtml(style || '(без стиля)')}</option>`).join('');
+            styleSelect.value = styles.includes(currentStyle) ? currentStyle : '';
+            
+            const visible = getVisibleItems();
+            count.textContent = `Картинок: ${visible.length}, выбрано: ${selected.size}`;
+            
+            if (visible.length === 0) {
+                grid.innerHTML = '<div class="hint">Картинок не найдено</div>';
+                return;
+            }
+            
+            grid.innerHTML = visible.map(item => {
+                const index = items.indexOf(item);
+                const meta = [
+                    item.style ? `<b>${escapeHtml(item.style)}</b>` : '',
+                    item.model ? escapeHtml(item.provider ? `${item.model} (${item.provider})` : item.model) : '',
+                    escapeHtml(formatGalleryDate(item.created)),
+                    item.isCurrent ? `сообщение #${item.messageId}` : `${escapeHtml(item.chatName)}, #${item.messageId}`,
+                ].filter(Boolean).join(' · ');
+                
+                return `
+                    <div class="iig-gallery-item" data-index="${index}">
+                        <label class="iig-gallery-check"><input type="checkbox" ${selected.has(item) ? 'checked' : ''}></label>
+                        <a href="${escapeHtml(item.src)}" target="_blank"><img src="${escapeHtml(item.src)}" loading="lazy" alt=""></a>
+                        <div class="iig-gallery-prompt" title="${escapeHtml(item.prompt)}">${escapeHtml(item.prompt)}</div>
+                        <div class="iig-gallery-meta">${meta}</div>
+                        <div class="iig-gallery-item-actions">
+                            <div class="menu_button iig-icon-btn" data-action="jump" title="Перейти к сообщению" ${item.isCurrent ? '' : 'disabled'}><i class="fa-solid fa-location-arrow"></i></div>
+                            <div class="menu_button iig-icon-btn" data-action="regenerate" title="Перегенерировать" ${item.isCurrent ? '' : 'disabled'}><i class="fa-solid fa-rotate"></i></div>
+                            <div class="menu_button iig-icon-btn" data-action="copy" title="Копировать промпт"><i class="fa-solid fa-copy"></i></div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        };
+        
+        const popup = new context.Popup(element, context.POPUP_TYPE.TEXT, '', {
+            wide: true,
+            large: true,
+            okButton: 'Закрыть',
+            allowVerticalScrolling: true,
+        });
+        
+        searchInput.addEventListener('input', render);
+        styleSelect.addEventListener('change', render);
+        
+        allChatsCheckbox.addEventListener('change', async () => {
+            if (allChatsCheckbox.checked && otherItems === null) {
+                allChatsCheckbox.disabled = true;
+                grid.innerHTML = '<div class="hint">Загрузка чатов...</div>';
+                try {
+                    otherItems = await collectCharacterChatImages(character, currentChatName);
+                } catch (error) {
+                    iigLog('ERROR', 'Gallery: failed to load character chats:', error.message);
+                    toastr.error(`Не удалось загрузить чаты: ${error.message}`, 'Генерация картинок');
+                    allChatsCheckbox.checked = false;
+                }
+                allChatsCheckbox.disabled = false;
+            }
+            
+            items = allChatsCheckbox.checked ? [...currentItems, ...(otherItems || [])] : currentItems;
+            for (const item of selected) {
+                if (!items.includes(item)) selected.delete(item);
+            }
+            render();
+        });
+        
+        element.querySelector('.iig-gallery-select-all').addEventListener('click', () => {
+            const visible = getVisibleItems();
+            const allSelected = visible.every(item => selected.has(item));
+            for (const item of visible) {
+                if (allSelected) selected.delete(item);
+                else selected.add(item);
+            }
+            render();
+        });
+        
+        element.querySelector('.iig-gallery-zip').addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            const chosen = items.filter(item => selected.has(item));
+            if (chosen.length === 0) {
+                toastr.info('Выберите картинки', 'Генерация картинок');
+                return;
+            }
+            if (button.classList.contains('disabled')) return;
+            
+            button.classList.add('disabled');
+            try {
+                await downloadGalleryZip(chosen);
+            } finally {
+                button.classList.remove('disabled');
+            }
+        });
+        
+        grid.addEventListener('change', (e) => {
+            const card = e.target.closest('.iig-gallery-item');
+            if (!card || e.target.type !== 'checkbox') return;
+            
+            const item = items[Number(card.dataset.index)];
+            if (e.target.checked) selected.add(item);
+            else selected.delete(item);
+            count.textContent = `Картинок: ${getVisibleItems().length}, выбрано: ${selected.size}`;
+        });
+        
+        grid.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            const card = e.target.closest('.iig-gallery-item');
+            if (!button || !card || button.hasAttribute('disabled')) return;
+            
+            const item = items[Number(card.dataset.index)];
+            
+            if (button.dataset.action === 'copy') {
+                try {
+                    await navigator.clipboard.writeText(item.prompt);
+                    toastr.success('Промпт скопирован', 'Генерация картинок');
+                } catch (error) {
+                    toastr.error('Не удалось скопировать промпт', 'Генерация картинок');
+                }
+                return;
+            }
+            
+            // The chat may have changed while the gallery was open
+            if (String(SillyTavern.getContext().chatId) !== currentChatName) {
+                toastr.warning('Чат сменился, откройте галерею заново', 'Генерация картинок');
+                return;
+            }
+            
+            await popup.completeAffirmative();
+            
+            if (button.dataset.action === 'jump') {
+                const messageElement = document.querySelector(`#chat .mes[mesid="${item.messageId}"]`);
+                if (!messageElement) {
+                    toastr.warning(`Сообщение #${item.messageId} не загружено в чат, прокрутите выше`, 'Генерация картинок');
+                    return;
+                }
+                messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            } else if (button.dataset.action === 'regenerate') {
+                await regenerateTagImage(item.messageId, item.tagIndex);
+            }
+        });
+        
+        render();
+        await popup.show();
+    }
+
+    /**
+     * Add gallery entry to the extensions (magic wand) menu
+     */
+    function addGalleryMenuItem() {
+        const menu = document.getElementById('extensionsMenu');
+        if (!menu || document.getElementById('iig_gallery_menu_item')) return;
+        
+        const item = document.createElement('div');
+        item.id = 'iig_gallery_menu_item';
+        item.className = 'list-group-item flex-container flexGap5 interactable';
+        item.tabIndex = 0;
+        item.innerHTML = '<div class="fa-solid fa-images extensionsMenuExtensionButton"></div>Галерея картинок';
+        item.addEventListener('click', () => openGallery());
+        menu.appendChild(item);
+    }
+
+    /**
+     * Parse message range like "12", "5-20" or "5-" (empty means the whole chat)
+     */
+    function parseMessageRange(value, chatLength) {
+        const text = String(value ?? '').trim();
+        if (!text) return { from: 0, to: chatLength - 1 };
+        
+        const match = text.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+        if (!match || (match[1] === undefined && match[3] === undefined)) {
+            throw new Error(`Неверный диапазон: ${text}`);
+        }
+        
+        const from = match[1] !== undefined ? Number(match[1]) : 0;
+        const to = match[3] !== undefined ? Number(match[3]) : (match[2] ? chatLength - 1 : from);
+        if (from > to || from >= chatLength) {
+            throw new Error(`Неверный диапазон: ${text}`);
+        }
+        return { from, to: Math.min(to, chatLength - 1) };
+    }
+
+    /**
+     * Render message text to HTML the way chat shows it; text-only tag markers become <img> with a status src
+     */
+    function renderExportMessage(message, messageId) {
+        const context = SillyTavern.getContext();
+        
+        let text = message.mes || '';
+        for (const tag of findEditableTags(text).filter(tag => tag.kind !== 'new').reverse()) {
+            const status = tag.kind === 'error' ? '[IMG:ERROR]' : '[IMG:GEN]';
+            text = text.substring(0, tag.start) + `<img src="${status}">` + text.substring(tag.start + tag.fullMatch.length);
+        }
+        text = text.replace(/\[IMG:✓:([^\]]+)\]/g, (match, path) => `<img src="${escapeHtml(path)}">`);
+        
+        if (typeof context.messageFormatting === 'function') {
+            return context.messageFormatting(text, message.name, message.is_system, message.is_user, messageId);
+        }
+        return escapeHtml(text).replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Export chat messages (all or a range) as standalone HTML with inlined images, or as ZIP with an images/ folder
+     */
+    async function exportChat(format = 'html', range = '') {
+        const context = SillyTavern.getContext();
+        if (!context.chat?.length) {
+            toastr.warning('Чат пуст', 'Генерация картинок');
+            return;
+        }
+        
+        const { from, to } = parseMessageRange(range, context.chat.length);
+        const isZip = format === 'zip';
+        const character = context.groupId ? null : context.characters?.[context.characterId];
+        const chatName = String(context.chatId || character?.name || 'chat');
+        
+        toastr.info('Экспорт чата...', 'Генерация картинок');
+        iigLog('INFO', `Exporting chat ${chatName} as ${format}, messages ${from}-${to}`);
+        
+        const files = [];
+        const usedNames = new Set();
+        // src -> data URI (HTML) or images/<name> (ZIP), null when the image could not be loaded
+        const images = new Map();
+        const placeholder = (className, text) => {
+            const div = document.createElement('div');
+            div.className = `iig-export-placeholder ${className}`;
+            div.textContent = text;
+            return div;
+        };
+        
+        const blocks = [];
+        for (let messageId = from; messageId <= to; messageId++) {
+            const message = context.chat[messageId];
+            if (!message) continue;
+            
+            const template = document.createElement('template');
+            template.innerHTML = renderExportMessage(message, messageId);
+            
+            for (const img of template.content.querySelectorAll('img')) {
+                const src = img.getAttribute('src') || '';
+                
+                if (src.includes('[IMG:GEN]')) {
+                    img.replaceWith(placeholder('pending', 'Картинка не сгенерирована'));
+                    continue;
+                }
+                if (src.includes('[IMG:ERROR') || src.includes('error.svg')) {
+                    img.replaceWith(placeholder('error', 'Ошибка генерации картинки'));
+                    continue;
+                }
+                if (!src || (/^https?:\/\//i.test(src) && new URL(src).origin !== location.origin) || (!isZip && src.startsWith('data:'))) {
+                    continue;
+                }
+                
+                if (!images.has(src)) {
+                    try {
+                        const response = await fetch(src);
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        const blob = await response.blob();
+                        
+                        if (isZip) {
+                            const name = `images/${uniqueFileName(getImageFileName(src), usedNames)}`;
+                            files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+                            images.set(src, name);
+                        } else {
+                            images.set(src, await blobToDataUrl(blob));
+                        }
+                    } catch (error) {
+                        iigLog('WARN', `Export: failed to load image ${src}: ${error.message}`);
+                        images.set(src, null);
+                    }
+                }
+                
+                const exported = images.get(src);
+                if (exported) {
+                    img.setAttribute('src', exported);
+                } else {
+                    img.replaceWith(placeholder('error', 'Картинка недоступна'));
+                }
+            }
+            
+            const container = document.createElement('div');
+            container.appendChild(template.content);
+            blocks.push(`
+                <div class="mes${message.is_user ? ' user' : ''}">
+                    <div class="mes_name">${escapeHtml(message.name || '')} <span class="mes_id">#${messageId}</span></div>
+                    <div class="mes_text">${container.innerHTML}</div>
+                </div>`);
+        }
+        
+        const title = escapeHtml(character ? `${character.name} — ${chatName}` : chatName);
+        const html = `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+body { max-width: 900px; margin: 0 auto; padding: 20px; background: #171717; color: #dcdcd2; font-family: sans-serif; line-height: 1.5; }
+.mes { margin: 0 0 16px; padding: 12px 16px; border-radius: 10px; background: #222; }
+.mes.user { background: #1c2530; }
+.mes_name { font-weight: bold; margin-bottom: 6px; }
+.mes_id { font-weight: normal; font-size: 0.8em; color: #888; }
+.mes_text img { max-width: 100%; height: auto; }
+.mes_text q, .mes_text .quote { color: #e18a24; }
+.mes_text em { color: #9a9a9a; }
+.iig-export-placeholder { display: flex; align-items: center; justify-content: center; min-height: 120px; margin: 8px 0; border: 2px dashed #555; border-radius: 8px; color: #999; }
+.iig-export-placeholder.error { border-color: rgba(255, 100, 100, 0.6); color: #ff7070; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${blocks.join('\n')}
+</body>
+</html>
+`;
+        
+        const fileBase = chatName.replace(/[\\/:*?"<>|]/g, '_');
+        if (isZip) {
+            files.unshift({ name: 'chat.html', data: new TextEncoder().encode(html) });
+            downloadBlob(createZip(files), `${fileBase}.zip`);
+        } else {
+            downloadBlob(new Blob([html], { type: 'text/html' }), `${fileBase}.html`);
+        }
+        
+        const missing = [...images.values()].filter(value => value === null).length;
+        if (missing > 0) {
+            toastr.warning(`Чат экспортирован, недоступных картинок: ${missing}`, 'Генерация картинок');
+        } else {
+            toastr.success('Чат экспортирован', 'Генерация картинок');
+        }
+    }
+
+    /**
+     * Read generation metadata from a dropped file or an image path (falls back to the JSON sidecar)
+     */
+    async function loadImageMetadata(source) {
+        if (typeof source !== 'string') {
+            if (source.name?.endsWith('.json')) {
+                return JSON.parse(await source.text());
+            }
+            return readImageMetadata(new Uint8Array(await source.arrayBuffer()));
+        }
+        
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const metadata = readImageMetadata(new Uint8Array(await response.arrayBuffer()));
+        if (metadata) return metadata;
+        
+        const sidecar = await fetch(`/user/files/${getMetadataSidecarName(source)}`);
+        return sidecar.ok ? await sidecar.json().catch(() => null) : null;
+    }
+
+    /**
+     * Show metadata of an image and apply it on confirm: model of the active profile, chat seed, tag in clipboard
+     */
+    async function showImageMetadata(source) {
+        const context = SillyTavern.getContext();
+        
+        let metadata;
+        try {
+            metadata = await loadImageMetadata(source);
+        } catch (error) {
+            iigLog('ERROR', 'Failed to read image metadata:', error.message);
+            toastr.error(`Не удалось прочитать картинку: ${error.message}`, 'Генерация картинок');
+            return;
+        }
+        
+        if (!metadata || typeof metadata !== 'object') {
+            toastr.warning('В картинке нет метаданных генерации', 'Генерация картинок');
+            return;
+        }
+        
+        // Tag fields in the same order as the instruction editor
+        const tagData = {};
+        for (const key of ['style', 'prompt', 'aspect_ratio', 'image_size', 'quality', 'negative_prompt', 'seed', 'refs']) {
+            if (metadata[key] !== null && metadata[key] !== undefined && metadata[key] !== '') tagData[key] = metadata[key];
+        }
+        const tag = `<img ${buildInstructionAttribute(tagData)} src="[IMG:GEN]">`;
+        
+        const rows = Object.entries(metadata)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `<div><b>${escapeHtml(key)}:</b> ${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</div>`)
+            .join('');
+        
+        const form = document.createElement('div');
+        form.className = 'iig-editor';
+        form.innerHTML = `
+            <h3>Метаданные картинки</h3>
+            ${rows}
+            <label for="iig_metadata_tag">Тег</label>
+            <textarea id="iig_metadata_tag" class="text_pole" rows="4" readonly>${escapeHtml(tag)}</textarea>
+            <div class="hint">«Применить» скопирует тег в буфер обмена, выставит модель в активном профиле (если тип API совпадает) и зафиксирует seed для чата.</div>
+        `;
+        
+        const confirmed = await context.callGenericPopup(form, context.POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Применить',
+            cancelButton: 'Закрыть',
+            wide: true,
+        });
+        if (!confirmed) return;
+        
+        const applied = [];
+        const profile = getActiveProfile();
+        if (metadata.model && metadata.model !== metadata.backend && metadata.backend === getBackendType(profile) && profile.model !== metadata.model) {
+            profile.model = metadata.model;
+            saveSettings();
+            fillProfileFields();
+            applied.push(`модель ${metadata.model}`);
+        }
+        
+        const seed = parseSeed(metadata.seed);
+        if (seed !== null && context.chatMetadata) {
+            getChatMetadata().lockedSeed = seed;
+            context.saveMetadata();
+            refreshChatSeed();
+            applied.push(`seed ${seed}`);
+        }
+        
+        try {
+            await navigator.clipboard.writeText(tag);
+            applied.push('тег скопирован');
+        } catch (error) {
+            iigLog('WARN', 'Failed to copy tag to clipboard:', error.message);
+        }
+        
+        toastr.success(applied.length ? `Применено: ${applied.join(', ')}` : 'Нечего применять', 'Генерация картинок');
+    }
+
+    /**
+     * Build <option> list for profile selects
+     */
+    function buildProfileOptions(selectedId, emptyLabel = null) {
+        const settings = getSettings();
+        let html = emptyLabel !== null ? `<option value="">${emptyLabel}</option>` : '';
+        for (const [id, profile] of Object.entries(settings.profiles)) {
+            html += `<option value="${id}" ${id === selectedId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`;
+        }
+        return html;
+    }
+
+    /**
+     * Refresh profile selects and character/chat bindings
+     */
+    function refreshProfileSelectors() {
+        const context = SillyTavern.getContext();
+        const settings = getSettings();
+
+        const profileSelect = document.getElementById('iig_profile');
+        if (!profileSelect) return;
+        profileSelect.innerHTML = buildProfileOptions(settings.activeProfileId);
+
+        const character = context.characterId !== undefined && context.characterId !== null
+            ? context.characters?.[context.characterId]
+            : null;
+        const charSelect = document.getElementById('iig_char_profile');
+        charSelect.innerHTML = buildProfileOptions(character ? settings.characterProfiles[character.avatar] : '', '— Не привязан —');
+        charSelect.disabled = !character;
+
+        // Chat bindings of deleted profiles are dropped when the chat is shown
+        const chatMetadata = getChatMetadata();
+        if (context.chatId && chatMetadata.profileId && !settings.profiles[chatMetadata.profileId]) {
+            delete chatMetadata.profileId;
+            context.saveMetadata();
+        }
+        
+        const chatSelect = document.getElementById('iig_chat_profile');
+        chatSelect.innerHTML = buildProfileOptions(context.chatId ? chatMetadata.profileId || '' : '', '— Не привязан —');
+        chatSelect.disabled = !context.chatId;
+        
+        refreshFailoverSettings();
+    }
+
+    /**
+     * Render backup profile chain and failover rules
+     */
+    function refreshFailoverSettings() {
+        const list = document.getElementById('iig_failover_list');
+        if (!list) return;
+        
+        const settings = getSettings();
+        settings.failoverChain = settings.failoverChain.filter(id => settings.profiles[id]);
+        
+        list.innerHTML = settings.failoverChain.length === 0
+            ? '<div class="hint">Резервных профилей нет</div>'
+            : settings.failoverChain.map((id, index) => `
+                <div class="flex-row" data-index="${index}">
+                    <span class="flex1">${index + 1}. ${escapeHtml(settings.profiles[id].name)}</span>
+                    <div class="menu_button iig-icon-btn" data-action="up" title="Выше"><i class="fa-solid fa-arrow-up"></i></div>
+                    <div class="menu_button iig-icon-btn" data-action="down" title="Ниже"><i class="fa-solid fa-arrow-down"></i></div>
+                    <div class="menu_button iig-icon-btn" data-action="remove" title="Убрать"><i class="fa-solid fa-xmark"></i></div>
+                </div>
+            `).join('');
+        
+        const addSelect = document.getElementById('iig_failover_profile');
+        addSelect.innerHTML = Object.entries(settings.profiles)
+            .filter(([id]) => !settings.failoverChain.includes(id))
+            .map(([id, profile]) => `<option value="${id}">${escapeHtml(profile.name)}</option>`)
+            .join('');
+        
+        for (const select of document.querySelectorAll('#iig_failover_rules select[data-failure]')) {
+            select.value = settings.failoverRules[select.dataset.failure] || 'stop';
+        }
+    }
+
+    /**
+     * Fill API fields with values of the active profile
+     */
+    function fillProfileFields() {
+        const profile = getActiveProfile();
+
+        document.getElementById('iig_api_type').value = profile.apiType;
+        document.getElementById('iig_endpoint').value = profile.endpoint;
+        document.getElementById('iig_api_key').value = profile.apiKey;
+
+        const modelSelect = document.getElementById('iig_model');
+        modelSelect.innerHTML = '<option value="">-- Выберите модель --</option>';
+        if (profile.model) {
+            const option = document.createElement('option');
+            option.value = profile.model;
+            option.textContent = profile.model;
+            option.selected = true;
+            modelSelect.appendChild(option);
+        }
+
+        for (const [id, key] of Object.entries(PROFILE_INPUT_FIELDS)) {
+            document.getElementById(id).value = profile[key];
+        }
+        fillSelect(document.getElementById('iig_sd_sampler'), [], profile.sdSampler);
+        fillSelect(document.getElementById('iig_sd_cn_model'), [], profile.sdControlNetModel, '-- Не выбрана --');
+        refreshComfyWorkflows();
+
+        document.getElementById('iig_size').value = profile.size;
+        document.getElementById('iig_quality').value = profile.quality;
+        document.getElementById('iig_image_size').value = profile.imageSize;
+        document.getElementById('iig_aspect_ratio').value = profile.aspectRatio;
+        document.getElementById('iig_send_char_avatar').checked = profile.sendCharAvatar;
+        document.getElementById('iig_send_user_avatar').checked = profile.sendUserAvatar;
+
+        const userAvatarSelect = document.getElementById('iig_user_avatar_file');
+        if (profile.userAvatarFile && !userAvatarSelect.querySelector(`option[value="${CSS.escape(profile.userAvatarFile)}"]`)) {
+            const option = document.createElement('option');
+            option.value = profile.userAvatarFile;
+            option.textContent = profile.userAvatarFile;
+            userAvatarSelect.appendChild(option);
+        }
+        userAvatarSelect.value = profile.userAvatarFile;
+
+        updateApiSections(profile.apiType);
+    }
+
+    /**
+     * Show settings sections relevant to API type
+     */
+    function updateApiSections(apiType) {
+        document.getElementById('iig_openai_section')?.classList.toggle('hidden', apiType !== 'openai');
+        document.getElementById('iig_gemini_section')?.classList.toggle('hidden', apiType !== 'gemini');
+        document.getElementById('iig_sd_section')?.classList.toggle('hidden', apiType !== 'sd');
+        document.getElementById('iig_comfy_section')?.classList.toggle('hidden', apiType !== 'comfy');
+        document.getElementById('iig_refs_section')?.classList.toggle('hidden', apiType === 'openai');
+    }
+
+    /**
+     * Refresh ComfyUI workflow select for the active profile
+     */
+    function refreshComfyWorkflows() {
+        const settings = getSettings();
+        const profile = getActiveProfile();
+        const select = document.getElementById('iig_comfy_workflow');
+        if (!select) return;
+        
+        select.innerHTML = '<option value="">-- Выберите воркфлоу --</option>';
+        for (const [id, workflow] of Object.entries(settings.comfyWorkflows)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = workflow.name;
+            select.appendChild(option);
+        }
+        select.value = settings.comfyWorkflows[profile.comfyWorkflowId] ? profile.comfyWorkflowId : '';
+        
+        const workflow = settings.comfyWorkflows[select.value];
+        const stylesInput = document.getElementById('iig_comfy_styles');
+        stylesInput.value = workflow?.styles || '';
+        stylesInput.disabled = !workflow;
+    }
+
+    /**
+     * Refresh style preset selects and fields of the selected preset
+     */
+    function refreshStylePresets(selectedId = null) {
+        const settings = getSettings();
+        const context = SillyTavern.getContext();
+        const select = document.getElementById('iig_style_preset');
+        if (!select) return;
+        
+        const current = selectedId ?? select.value;
+        const options = Object.entries(settings.stylePresets)
+            .map(([id, preset]) => `<option value="${id}">${escapeHtml(preset.name)}</option>`)
+            .join('');
+        
+        select.innerHTML = `<option value="">-- Выберите пресет --</option>${options}`;
+        select.value = settings.stylePresets[current] ? current : '';
+        
+        const preset = settings.stylePresets[select.value];
+        for (const input of document.querySelectorAll('#iig_style_fields [data-style-key]')) {
+            input.value = preset?.[input.dataset.styleKey] || '';
+            input.disabled = !preset;
+        }
+        
+        const illustrateStyles = document.getElementById('iig_auto_illustrate_styles');
+        if (illustrateStyles) {
+            illustrateStyles.innerHTML = Object.values(settings.stylePresets).map(p => `<option value="${escapeHtml(p.name)}"></option>`).join('');
+        }
+        
+        const chatSelect = document.getElementById('iig_chat_style');
+        chatSelect.innerHTML = `<option value="">— Нет —</option>${options}`;
+        chatSelect.value = settings.stylePresets[getChatMetadata().defaultStyle] ? getChatMetadata().defaultStyle : '';
+        chatSelect.disabled = !context.chatId;
+    }
+
+    /**
+     * Refresh instruction injection controls
+     */
+    function refreshInjectionSettings() {
+        const settings = getSettings();
+        const context = SillyTavern.getContext();
+        const select = document.getElementById('iig_inject_template');
+        if (!select) return;
+        
+        select.innerHTML = Object.entries(settings.injectTemplates)
+            .map(([id, template]) => `<option value="${id}">${escapeHtml(template.name)}</option>`)
+            .join('');
+        select.value = settings.injectTemplateId;
+        
+        const template = settings.injectTemplates[settings.injectTemplateId];
+        const textarea = document.getElementById('iig_inject_text');
+        textarea.value = template?.text || '';
+        textarea.disabled = !template;
+        
+        document.getElementById('iig_inject_position').value = String(settings.injectPosition);
+        document.getElementById('iig_inject_role').value = String(settings.injectRole);
+        
+        const chatValue = getChatMetadata().injectEnabled;
+        const chatSelect = document.getElementById('iig_chat_inject');
+        chatSelect.value = typeof chatValue === 'boolean' ? (chatValue ? 'on' : 'off') : '';
+        chatSelect.disabled = !context.chatId;
+    }
+
+    /**
+     * Show prompt enhancement toggle of the current chat
+     */
+    function refreshEnhanceSettings() {
+        const select = document.getElementById('iig_chat_enhance');
+        if (!select) return;
+        
+        const chatValue = getChatMetadata().enhanceEnabled;
+        select.value = typeof chatValue === 'boolean' ? (chatValue ? 'on' : 'off') : '';
+        select.disabled = !SillyTavern.getContext().chatId;
+    }
+
+    /**
+     * Show locked seed of the current chat
+     */
+    function refreshChatSeed() {
+        const input = document.getElementById('iig_chat_seed');
+        if (!input) return;
+        
+        const context = SillyTavern.getContext();
+        input.value = parseSeed(getChatMetadata().lockedSeed) ?? '';
+        input.disabled = !context.chatId;
+    }
+
+    /**
+     * Show daily and monthly usage totals; price inputs are rebuilt only when the model list changes
+     */
+    function refreshUsageSummary() {
+        const summary = document.getElementById('iig_usage_summary');
+        if (!summary) return;
+        
+        const settings = getSettings();
+        const now = new Date();
+        const line = (label, totals) => `<div>${label}: картинок ${totals.images}, ошибок ${totals.failed}, стоимость ${totals.cost.toFixed(2)}</div>`;
+        const cap = Number(settings.usageHardCap) || 0;
+        
+        summary.innerHTML = line('Сегодня', summarizeUsage(getUsagePeriodStart('day', now)))
+            + line('Этот месяц', summarizeUsage(getUsagePeriodStart('month', now)))
+            + (cap > 0 ? `<div>Лимит: ${formatUsageValue(getPeriodUsage())} из ${formatUsageValue(cap)}</div>` : '');
+        
+        const prices = document.getElementById('iig_usage_prices');
+        const models = [...new Set([
+            ...Object.keys(settings.modelPrices),
+            ...[...Object.values(settings.usageDays), ...Object.values(settings.usageMonths)].flatMap(Object.keys),
+            ...Object.values(settings.profiles).map(profile => profile.model || getBackendType(profile)),
+        ].filter(Boolean))].sort();
+        
+        if (prices && prices.dataset.models !== models.join('\n')) {
+            prices.dataset.models = models.join('\n');
+            prices.innerHTML = models.map(model => `
+                <div class="flex-row">
+                    <label class="flex1">${escapeHtml(model)}</label>
+                    <input type="number" class="text_pole iig-usage-price" data-model="${escapeHtml(model)}" min="0" step="0.001" placeholder="0" value="${settings.modelPrices[model] ?? ''}">
+                </div>
+            `).join('');
+        }
+    }
+
+    /**
+     * Show number of result cache entries
+     */
+    async function refreshResultCacheInfo() {
+        const count = document.getElementById('iig_result_cache_count');
+        if (count) count.textContent = `Записей: ${Object.keys(await loadResultCache()).length}`;
+    }
+
+    /**
+     * Replace select options keeping the current value selectable
+     */
+    function fillSelect(select, values, current, emptyLabel = null) {
+        select.innerHTML = emptyLabel !== null ? `<option value="">${emptyLabel}</option>` : '';
+        const all = current && !values.includes(current) ? [current, ...values] : values;
+        for (const value of all) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        }
+        select.value = current;
+    }
+
+    /**
+     * Render reference library of the current character
+     */
+    function renderCharacterRefs() {
+        const list = document.getElementById('iig_char_refs_list');
+        if (!list) return;
+        
+        const context = SillyTavern.getContext();
+        const character = context.characters?.[context.characterId];
+        if (!character) {
+            list.innerHTML = '<div class="hint">Персонаж не выбран</div>';
+            return;
+        }
+        
+        const refs = getCharacterRefs(character);
+        if (refs.length === 0) {
+            list.innerHTML = '<div class="hint">Референсов нет, используется только аватар</div>';
+            return;
+        }
+        
+        list.innerHTML = refs.map(ref => `
+            <div class="iig-char-ref">
+                <img src="${escapeHtml(ref.path)}" alt="${escapeHtml(ref.name)}">
+                <code class="flex1">char:${escapeHtml(ref.name)}</code>
+                <div class="menu_button iig-icon-btn iig-char-ref-delete" data-name="${escapeHtml(ref.name)}" title="Удалить"><i class="fa-solid fa-trash"></i></div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Fill user avatar select from /api/avatars/get
+     */
+    async function loadUserAvatarOptions() {
+        const select = document.getElementById('iig_user_avatar_file');
+        if (!select) return;
+
+        const avatars = await fetchUserAvatars();
+        const current = getActiveProfile().userAvatarFile;
+        select.innerHTML = '<option value="">-- Не выбран --</option>';
+        for (const avatar of avatars) {
+            const option = document.createElement('option');
+            option.value = avatar;
+            option.textContent = avatar;
+            select.appendChild(option);
+        }
+        if (current && !avatars.includes(current)) {
+            const option = document.createElement('option');
+            option.value = current;
+            option.textContent = current;
+            select.appendChild(option);
+        }
+        select.value = current;
+    }
+
+    // Settings input id -> profile key for plain inputs
+    const PROFILE_INPUT_FIELDS = {
+        iig_request_timeout: 'requestTimeout',
+        iig_rpm_limit: 'rpmLimit',
+        iig_sd_steps: 'sdSteps',
+        iig_sd_cfg: 'sdCfgScale',
+        iig_sd_seed: 'sdSeed',
+        iig_sd_base_size: 'sdBaseSize',
+        iig_sd_negative: 'sdNegativePrompt',
+        iig_sd_ref_mode: 'sdRefMode',
+        iig_sd_denoise: 'sdDenoisingStrength',
+        iig_sd_cn_module: 'sdControlNetModule',
+        iig_sd_cn_weight: 'sdControlNetWeight',
+        iig_comfy_negative: 'comfyNegativePrompt',
+        iig_comfy_seed: 'comfySeed',
+        iig_comfy_base_size: 'comfyBaseSize',
+    };
+
+    /**
+     * Create settings UI
+     */
+    function createSettingsUI() {
+        const settings = getSettings();
+        const container = document.getElementById('extensions_settings');
+        if (!container) return;
+        
+        const html = `
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <b>Генерация картинок</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <div class="iig-settings">
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_enabled" ${settings.enabled ? 'checked' : ''}>
+                            <span>Включить генерацию картинок</span>
+                        </label>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_streaming_generation" ${settings.streamingGeneration ? 'checked' : ''}>
+                            <span>Начинать генерацию во время стриминга</span>
+                        </label>
+                        <hr>
+                        <h4>Профили подключения</h4>
+                        <div class="flex-row">
+                            <label for="iig_profile">Профиль</label>
+                            <select id="iig_profile" class="flex1"></select>
+                            <div id="iig_profile_add" class="menu_button iig-icon-btn" title="Новый профиль (копия текущего)"><i class="fa-solid fa-plus"></i></div>
+                            <div id="iig_profile_rename" class="menu_button iig-icon-btn" title="Переименовать"><i class="fa-solid fa-pen"></i></div>
+                            <div id="iig_profile_delete" class="menu_button iig-icon-btn" title="Удалить"><i class="fa-solid fa-trash"></i></div>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_char_profile">Для персонажа</label>
+                            <select id="iig_char_profile" class="flex1"></select>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_chat_profile">Для чата</label>
+                            <select id="iig_chat_profile" class="flex1"></select>
+                        </div>
+                        <div class="hint">Привязка к чату важнее привязки к персонажу, привязка к персонажу важнее выбранного профиля.</div>
+                        <details>
+                            <summary>Резервные профили</summary>
+                            <div class="hint">Если профиль не справился, картинка запрашивается у следующего профиля цепочки — в зависимости от вида ошибки.</div>
+                            <div id="iig_failover_list" class="iig-failover-list"></div>
+                            <div class="flex-row">
+                                <select id="iig_failover_profile" class="flex1"></select>
+                                <div id="iig_failover_add" class="menu_button iig-icon-btn" title="Добавить в цепочку"><i class="fa-solid fa-plus"></i></div>
+                            </div>
+                            <div id="iig_failover_rules">
+                                ${Object.entries(FAILURE_CLASSES).map(([failure, label]) => `
+                                    <div class="flex-row">
+                                        <label class="flex1">${label}</label>
+                                        <select data-failure="${failure}">
+                                            <option value="failover">Переключить</option>
+                                            <option value="stop">Остановиться</option>
+                                        </select>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </details>
+                        <hr>
+                        <h4>Настройки API</h4>
+                        <div class="flex-row">
+                            <label for="iig_api_type">Тип API</label>
+                            <select id="iig_api_type" class="flex1">
+                                <option value="openai">OpenAI-совместимый</option>
+                                <option value="gemini">Gemini-совместимый (nano-banana)</option>
+                                <option value="sd">Stable Diffusion WebUI (A1111/Forge)</option>
+                                <option value="comfy">ComfyUI</option>
+                            </select>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_endpoint">URL эндпоинта</label>
+                            <input type="text" id="iig_endpoint" class="text_pole flex1" placeholder="http://localhost:8045">
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_api_key">API ключ</label>
+                            <input type="password" id="iig_api_key" class="text_pole flex1">
+                            <div id="iig_key_toggle" class="menu_button iig-key-toggle"><i class="fa-solid fa-eye"></i></div>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_model">Модель</label>
+                            <select id="iig_model" class="flex1"></select>
+                            <div id="iig_refresh_models" class="menu_button iig-refresh-btn"><i class="fa-solid fa-sync"></i></div>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_request_timeout">Таймаут, с</label>
+                            <input type="number" id="iig_request_timeout" class="text_pole flex1" min="0" step="10">
+                        </div>
+                        <div class="hint">Время ожидания одного запроса. 0 — без ограничения.</div>
+                        <div class="flex-row">
+                            <label for="iig_rpm_limit">Запросов в минуту</label>
+                            <input type="number" id="iig_rpm_limit" class="text_pole flex1" min="0" step="1">
+                        </div>
+                        <div class="hint">Запросы к этому адресу разносятся во времени, чтобы не упираться в лимит провайдера. 0 — без ограничения.</div>
+                        <div class="flex-row">
+                            <label for="iig_aspect_ratio">Соотношение</label>
+                            <select id="iig_aspect_ratio" class="flex1">
+                                <option value="1:1">1:1 (Квадрат)</option>
+                                <option value="2:3">2:3 (Портрет)</option>
+                                <option value="3:2">3:2 (Альбом)</option>
+                                <option value="3:4">3:4 (Портрет)</option>
+                                <option value="4:3">4:3 (Альбом)</option>
+                                <option value="4:5">4:5 (Портрет)</option>
+                                <option value="5:4">5:4 (Альбом)</option>
+                                <option value="9:16">9:16 (Вертикальный)</option>
+                                <option value="16:9">16:9 (Широкий)</option>
+                                <option value="21:9">21:9 (Кино)</option>
+                            </select>
+                        </div>
+                        <hr>
+                        <div id="iig_openai_section" class="iig-avatar-section">
+                            <h4>Настройки OpenAI</h4>
+                            <div class="flex-row">
+                                <label for="iig_size">Размер</label>
+                                <select id="iig_size" class="flex1">
+                                    <option value="1024x1024">1024x1024</option>
+                                    <option value="1792x1024">1792x1024</option>
+                                    <option value="1024x1792">1024x1792</option>
+                                    <option value="512x512">512x512</option>
+                                </select>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_quality">Качество</label>
+                                <select id="iig_quality" class="flex1">
+                                    <option value="standard">standard</option>
+                                    <option value="hd">hd</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div id="iig_gemini_section" class="iig-avatar-section">
+                            <h4>Настройки Nano-Banana</h4>
+                            <div class="flex-row">
+                                <label for="iig_image_size">Разрешение</label>
+                                <select id="iig_image_size" class="flex1">
+                                    <option value="1K">1K (Стандарт)</option>
+                                    <option value="2K">2K (Высокое)</option>
+                                    <option value="4K">4K (Ультра)</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div id="iig_sd_section" class="iig-avatar-section">
+                            <h4>Настройки Stable Diffusion</h4>
+                            <div class="flex-row">
+                                <label for="iig_sd_sampler">Сэмплер</label>
+                                <select id="iig_sd_sampler" class="flex1"></select>
+                                <div id="iig_sd_refresh" class="menu_button iig-refresh-btn" title="Загрузить сэмплеры и модели ControlNet"><i class="fa-solid fa-sync"></i></div>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_sd_steps">Шаги</label>
+                                <input type="number" id="iig_sd_steps" class="text_pole flex1" min="1" max="150">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_sd_cfg">CFG</label>
+                                <input type="number" id="iig_sd_cfg" class="text_pole flex1" min="1" max="30" step="0.5">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_sd_seed">Seed</label>
+                                <input type="number" id="iig_sd_seed" class="text_pole flex1" min="-1">
+                            </div>
+                            <div class="hint">-1 = случайный seed</div>
+                            <div class="flex-row">
+                                <label for="iig_sd_base_size">Базовый размер</label>
+                                <input type="number" id="iig_sd_base_size" class="text_pole flex1" min="256" max="2048" step="64">
+                            </div>
+                            <div class="hint">Ширина и высота подбираются по соотношению сторон так, чтобы площадь была около базового размера в квадрате.</div>
+                            <div class="flex-row">
+                                <label for="iig_sd_negative">Негативный промпт</label>
+                                <textarea id="iig_sd_negative" class="text_pole flex1" rows="2"></textarea>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_sd_ref_mode">Референсы через</label>
+                                <select id="iig_sd_ref_mode" class="flex1">
+                                    <option value="img2img">img2img</option>
+                                    <option value="controlnet">ControlNet / IP-Adapter</option>
+                                </select>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_sd_denoise">Denoising</label>
+                                <input type="number" id="iig_sd_denoise" class="text_pole flex1" min="0" max="1" step="0.05">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_sd_cn_module">Модуль ControlNet</label>
+                                <input type="text" id="iig_sd_cn_module" class="text_pole flex1">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_sd_cn_model">Модель ControlNet</label>
+                                <select id="iig_sd_cn_model" class="flex1"></select>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_sd_cn_weight">Вес ControlNet</label>
+                                <input type="number" id="iig_sd_cn_weight" class="text_pole flex1" min="0" max="2" step="0.05">
+                            </div>
+                        </div>
+                        <div id="iig_comfy_section" class="iig-avatar-section">
+                            <h4>Настройки ComfyUI</h4>
+                            <div class="flex-row">
+                                <label for="iig_comfy_workflow">Воркфлоу</label>
+                                <select id="iig_comfy_workflow" class="flex1"></select>
+                                <div id="iig_comfy_import" class="menu_button iig-icon-btn" title="Импорт воркфлоу (API format JSON)"><i class="fa-solid fa-file-import"></i></div>
+                                <div id="iig_comfy_edit" class="menu_button iig-icon-btn" title="Редактировать JSON"><i class="fa-solid fa-pen"></i></div>
+                                <div id="iig_comfy_delete" class="menu_button iig-icon-btn" title="Удалить"><i class="fa-solid fa-trash"></i></div>
+                                <input type="file" id="iig_comfy_file" accept=".json,application/json" hidden>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_comfy_styles">Стили воркфлоу</label>
+                                <input type="text" id="iig_comfy_styles" class="text_pole flex1" placeholder="anime, watercolor">
+                            </div>
+                            <div class="hint">Теги с этими стилями используют этот воркфлоу независимо от профиля.</div>
+                            <div class="hint">Плейсхолдеры: %prompt%, %negative%, %seed%, %width%, %height%, %model%, %ref1%…%ref4% (загруженные референсы: сначала {{char}}, затем {{user}}).</div>
+                            <div class="flex-row">
+                                <label for="iig_comfy_seed">Seed</label>
+                                <input type="number" id="iig_comfy_seed" class="text_pole flex1" min="-1">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_comfy_base_size">Базовый размер</label>
+                                <input type="number" id="iig_comfy_base_size" class="text_pole flex1" min="256" max="2048" step="64">
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_comfy_negative">Негативный промпт</label>
+                                <textarea id="iig_comfy_negative" class="text_pole flex1" rows="2"></textarea>
+                            </div>
+                        </div>
+                        <div id="iig_refs_section" class="iig-avatar-section">
+                            <h4>Референсы</h4>
+                            <label class="checkbox_label">
+                                <input type="checkbox" id="iig_send_char_avatar">
+                                <span>Отправлять аватар {{char}} (Может вызвать блок Safety!)</span>
+                            </label>
+                            <label class="checkbox_label">
+                                <input type="checkbox" id="iig_send_user_avatar">
+                                <span>Отправлять аватар {{user}}</span>
+                            </label>
+                            <div class="flex-row">
+                                <label for="iig_user_avatar_file">Аватар {{user}}</label>
+                                <select id="iig_user_avatar_file" class="flex1">
+                                    <option value="">-- Не выбран --</option>
+                                </select>
+                            </div>
+                            <h4>Библиотека {{char}}</h4>
+                            <div id="iig_char_refs_list" class="iig-char-refs"></div>
+                            <div class="flex-row">
+                                <div id="iig_char_ref_add" class="menu_button" style="width: 100%;"><i class="fa-solid fa-plus"></i> Добавить референс</div>
+                                <input type="file" id="iig_char_ref_file" accept="image/*" hidden>
+                            </div>
+                            <div class="hint">Хранится в карточке персонажа. В теге: <code>"refs":["char:имя","char","user"]</code> — до ${MAX_REFERENCE_IMAGES} картинок, вместо галочек выше.</div>
+                        </div>
+                        <hr>
+                        <h4>Стили</h4>
+                        <div class="flex-row">
+                            <label for="iig_style_preset">Пресет</label>
+                            <select id="iig_style_preset" class="flex1"></select>
+                            <div id="iig_style_add" class="menu_button iig-icon-btn" title="Новый пресет"><i class="fa-solid fa-plus"></i></div>
+                            <div id="iig_style_rename" class="menu_button iig-icon-btn" title="Переименовать"><i class="fa-solid fa-pen"></i></div>
+                            <div id="iig_style_delete" class="menu_button iig-icon-btn" title="Удалить"><i class="fa-solid fa-trash"></i></div>
+                            <div id="iig_style_import" class="menu_button iig-icon-btn" title="Импорт JSON"><i class="fa-solid fa-file-import"></i></div>
+                            <div id="iig_style_export" class="menu_button iig-icon-btn" title="Экспорт JSON"><i class="fa-solid fa-file-export"></i></div>
+                            <input type="file" id="iig_style_file" accept=".json,application/json" hidden>
+                        </div>
+                        <div id="iig_style_fields">
+                            <div class="flex-row">
+                                <label for="iig_style_prefix">Префикс</label>
+                                <textarea id="iig_style_prefix" class="text_pole flex1" rows="2" data-style-key="prefix"></textarea>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_style_suffix">Суффикс</label>
+                                <textarea id="iig_style_suffix" class="text_pole flex1" rows="2" data-style-key="suffix"></textarea>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_style_negative">Негативный промпт</label>
+                                <textarea id="iig_style_negative" class="text_pole flex1" rows="2" data-style-key="negative"></textarea>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_style_ratio">Соотношение сторон</label>
+                                <select id="iig_style_ratio" class="flex1" data-style-key="aspectRatio">
+                                    <option value="">— Из тега —</option>
+                                    ${VALID_ASPECT_RATIOS.map(r => `<option value="${r}">${r}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="flex-row">
+                                <label for="iig_style_size">Размер</label>
+                                <select id="iig_style_size" class="flex1" data-style-key="imageSize">
+                                    <option value="">— Из тега —</option>
+                                    ${VALID_IMAGE_SIZES.map(s => `<option value="${s}">${s}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_chat_style">Стиль чата по умолчанию</label>
+                            <select id="iig_chat_style" class="flex1"></select>
+                        </div>
+                        <div class="hint">Тег со <code>"style":"имя пресета"</code> получает префикс, суффикс и негативный промпт пресета. Теги с неизвестным стилем используют стиль чата по умолчанию, если он выбран, иначе стиль передаётся как есть.</div>
+                        <div class="flex-row">
+                            <label for="iig_chat_seed">Seed чата</label>
+                            <input type="number" id="iig_chat_seed" class="text_pole flex1" min="0" placeholder="Не зафиксирован">
+                        </div>
+                        <div class="hint">Зафиксированный seed используется всеми тегами чата без своего <code>"seed"</code>. Зафиксировать seed картинки можно кнопкой 🔒 на панели над ней.</div>
+                        <hr>
+                        <h4>Инструкция для LLM</h4>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_inject_enabled" ${settings.injectEnabled ? 'checked' : ''}>
+                            <span>Добавлять инструкцию по тегам в промпт</span>
+                        </label>
+                        <div class="flex-row">
+                            <label for="iig_chat_inject">В этом чате</label>
+                            <select id="iig_chat_inject" class="flex1">
+                                <option value="">По умолчанию</option>
+                                <option value="on">Включено</option>
+                                <option value="off">Выключено</option>
+                            </select>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_inject_template">Шаблон</label>
+                            <select id="iig_inject_template" class="flex1"></select>
+                            <div id="iig_inject_add" class="menu_button iig-icon-btn" title="Новый шаблон (копия текущего)"><i class="fa-solid fa-plus"></i></div>
+                            <div id="iig_inject_rename" class="menu_button iig-icon-btn" title="Переименовать"><i class="fa-solid fa-pen"></i></div>
+                            <div id="iig_inject_delete" class="menu_button iig-icon-btn" title="Удалить"><i class="fa-solid fa-trash"></i></div>
+                            <div id="iig_inject_reset" class="menu_button iig-icon-btn" title="Восстановить стандартные шаблоны"><i class="fa-solid fa-rotate-left"></i></div>
+                        </div>
+                        <textarea id="iig_inject_text" class="text_pole" rows="8"></textarea>
+                        <div class="hint">Переменные: {{iig_aspect_ratios}}, {{iig_image_sizes}}, {{iig_styles}} (названия пресетов стилей). Макросы SillyTavern тоже работают.</div>
+                        <div class="flex-row">
+                            <label for="iig_inject_position">Позиция</label>
+                            <select id="iig_inject_position" class="flex1">
+                                <option value="2">Перед основным промптом</option>
+                                <option value="0">После основного промпта</option>
+                                <option value="1">В чате на глубине</option>
+                            </select>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_inject_depth">Глубина</label>
+                            <input type="number" id="iig_inject_depth" class="text_pole flex1" min="0" max="100" value="${settings.injectDepth}">
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_inject_role">Роль</label>
+                            <select id="iig_inject_role" class="flex1">
+                                <option value="0">Система</option>
+                                <option value="1">Пользователь</option>
+                                <option value="2">Ассистент</option>
+                            </select>
+                        </div>
+                        <hr>
+                        <h4>Улучшение промпта</h4>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_enhance_enabled" ${settings.enhanceEnabled ? 'checked' : ''}>
+                            <span>Дополнять промпт тега через LLM чата</span>
+                        </label>
+                        <div class="flex-row">
+                            <label for="iig_chat_enhance">В этом чате</label>
+                            <select id="iig_chat_enhance" class="flex1">
+                                <option value="">По умолчанию</option>
+                                <option value="on">Включено</option>
+                                <option value="off">Выключено</option>
+                            </select>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_enhance_messages">Сообщений</label>
+                            <input type="number" id="iig_enhance_messages" class="text_pole flex1" min="1" max="20" value="${settings.enhanceMessages}">
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_enhance_template" class="flex1">Запрос к LLM</label>
+                            <div id="iig_enhance_reset" class="menu_button iig-icon-btn" title="Восстановить стандартный запрос"><i class="fa-solid fa-rotate-left"></i></div>
+                        </div>
+                        <textarea id="iig_enhance_template" class="text_pole" rows="8"></textarea>
+                        <div class="hint">Переменные: {{iig_prompt}} — промпт тега, {{iig_char}} и {{iig_description}} — имя и описание персонажа, {{iig_persona}} — описание персоны, {{iig_messages}} — последние сообщения. Исходный промпт остаётся в теге, улучшенный виден в подсказке картинки.</div>
+                        <hr>
+                        <h4>Автоиллюстрации</h4>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_auto_illustrate_enabled" ${settings.autoIllustrateEnabled ? 'checked' : ''}>
+                            <span>Иллюстрировать ответы без тегов картинок</span>
+                        </label>
+                        <div class="flex-row">
+                            <label for="iig_auto_illustrate_every">Каждый N-й ответ</label>
+                            <input type="number" id="iig_auto_illustrate_every" class="text_pole flex1" min="1" max="50" value="${settings.autoIllustrateEvery}">
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_auto_illustrate_placement">Куда вставлять</label>
+                            <select id="iig_auto_illustrate_placement" class="flex1">
+                                <option value="top">В начало сообщения</option>
+                                <option value="paragraph">После первого абзаца</option>
+                                <option value="bottom">В конец сообщения</option>
+                            </select>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_auto_illustrate_style">Стиль</label>
+                            <input type="text" id="iig_auto_illustrate_style" class="text_pole flex1" list="iig_auto_illustrate_styles" placeholder="стиль или пресет стиля" value="${escapeHtml(settings.autoIllustrateStyle)}">
+                            <datalist id="iig_auto_illustrate_styles"></datalist>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_auto_illustrate_messages">Сообщений</label>
+                            <input type="number" id="iig_auto_illustrate_messages" class="text_pole flex1" min="1" max="20" value="${settings.autoIllustrateMessages}">
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_auto_illustrate_template" class="flex1">Запрос к LLM</label>
+                            <div id="iig_auto_illustrate_reset" class="menu_button iig-icon-btn" title="Восстановить стандартный запрос"><i class="fa-solid fa-rotate-left"></i></div>
+                        </div>
+                        <textarea id="iig_auto_illustrate_template" class="text_pole" rows="8"></textarea>
+                        <div class="hint">LLM описывает сцену последнего сообщения, и в него добавляется обычный тег картинки. Кнопка ✨ в меню сообщения и <code>/iig-illustrate</code> иллюстрируют сообщение вручную. Переменные те же, что у улучшения промпта, кроме {{iig_prompt}}.</div>
+                        <hr>
+                        <h4>Блокировка промпта</h4>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_safety_rewrite_enabled" ${settings.safetyRewriteEnabled ? 'checked' : ''}>
+                            <span>Переписывать заблокированный промпт через LLM чата</span>
+                        </label>
+                        <div class="flex-row">
+                            <label for="iig_safety_rewrite_attempts">Попыток</label>
+                            <input type="number" id="iig_safety_rewrite_attempts" class="text_pole flex1" min="1" max="5" value="${settings.safetyRewriteAttempts}">
+                        </div>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_safety_rewrite_replace" ${settings.safetyRewriteReplace ? 'checked' : ''}>
+                            <span>Сохранять переписанный промпт в теге</span>
+                        </label>
+                        <div class="flex-row">
+                            <label for="iig_safety_rewrite_template" class="flex1">Запрос к LLM</label>
+                            <div id="iig_safety_rewrite_reset" class="menu_button iig-icon-btn" title="Восстановить стандартный запрос"><i class="fa-solid fa-rotate-left"></i></div>
+                        </div>
+                        <textarea id="iig_safety_rewrite_template" class="text_pole" rows="6"></textarea>
+                        <div class="hint">Переменные: {{iig_prompt}} — заблокированный промпт, {{iig_reason}} — ответ API. Срабатывает на блокировку фильтром безопасности и отказ модели по причинам безопасности (не на MAX_TOKENS и т.п.); без галочки сохранения исходный промпт остаётся в теге, переписанный виден в подсказке картинки.</div>
+                        <hr>
+                        <h4>Очередь</h4>
+                        <div class="flex-row">
+                            <label for="iig_queue_concurrency">Одновременно</label>
+                            <input type="number" id="iig_queue_concurrency" class="text_pole flex1" min="1" max="10" value="${settings.queueConcurrency}">
+                        </div>
+                        <div class="hint">Сколько картинок генерируется параллельно во всех сообщениях. Новые сообщения обрабатываются первыми.</div>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_show_queue_panel" ${settings.showQueuePanel ? 'checked' : ''}>
+                            <span>Показывать панель очереди</span>
+                        </label>
+                        <hr>
+                        <h4>Расходы</h4>
+                        <div id="iig_usage_summary" class="hint"></div>
+                        <div class="flex-row">
+                            <label for="iig_usage_period">Период лимита</label>
+                            <select id="iig_usage_period" class="flex1">
+                                <option value="day" ${settings.usageLimitPeriod === 'day' ? 'selected' : ''}>День</option>
+                                <option value="month" ${settings.usageLimitPeriod === 'month' ? 'selected' : ''}>Месяц</option>
+                            </select>
+                            <select id="iig_usage_unit" class="flex1">
+                                <option value="cost" ${settings.usageLimitUnit === 'cost' ? 'selected' : ''}>по стоимости</option>
+                                <option value="images" ${settings.usageLimitUnit === 'images' ? 'selected' : ''}>по числу картинок</option>
+                            </select>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_usage_warn">Предупреждать</label>
+                            <input type="number" id="iig_usage_warn" class="text_pole flex1" min="0" step="0.01" value="${settings.usageWarnThreshold}">
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_usage_cap">Жёсткий лимит</label>
+                            <input type="number" id="iig_usage_cap" class="text_pole flex1" min="0" step="0.01" value="${settings.usageHardCap}">
+                        </div>
+                        <div class="hint">0 — без ограничения. При достижении лимита запросы к API не отправляются, теги остаются [IMG:GEN] и их можно сгенерировать позже.</div>
+                        <details>
+                            <summary>Цена одной картинки по моделям</summary>
+                            <div id="iig_usage_prices" class="iig-usage-prices"></div>
+                        </details>
+                        <div class="flex-row">
+                            <div id="iig_usage_clear" class="menu_button" style="width: 100%;"><i class="fa-solid fa-trash"></i> Очистить журнал расходов</div>
+                        </div>
+                        <hr>
+                        <h4>Кэш результатов</h4>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="iig_result_cache_enabled" ${settings.resultCacheEnabled ? 'checked' : ''}>
+                            <span>Не генерировать повторно одинаковые теги</span>
+                        </label>
+                        <div class="flex-row">
+                            <span id="iig_result_cache_count" class="flex1"></span>
+                            <div id="iig_result_cache_view" class="menu_button iig-icon-btn" title="Просмотреть"><i class="fa-solid fa-eye"></i></div>
+                            <div id="iig_result_cache_clear" class="menu_button iig-icon-btn" title="Очистить"><i class="fa-solid fa-broom"></i></div>
+                        </div>
+                        <div class="hint">Тег с тем же промптом, стилем, размером, моделью и референсами получает уже сохранённую картинку без запроса к API. Кнопки перегенерации кэш не используют.</div>
+                        <hr>
+                        <h4>Метаданные картинок</h4>
+                        <div id="iig_metadata_drop" class="iig-metadata-drop" title="Выбрать файл">
+                            <i class="fa-solid fa-file-image"></i> Перетащите сюда картинку, чтобы загрузить её настройки
+                        </div>
+                        <input type="file" id="iig_metadata_file" accept="image/png,image/jpeg,image/webp,application/json" style="display: none;">
+                        <div class="hint">Промпт, стиль, модель, seed, соотношение сторон и референсы записываются в каждый сохранённый файл (PNG — текстовый блок, JPEG/WebP — XMP, иначе JSON-файл рядом в user/files).</div>
+                        <hr>
+                        <h4>Экспорт чата</h4>
+                        <div class="flex-row">
+                            <label for="iig_export_format">Формат</label>
+                            <select id="iig_export_format" class="flex1">
+                                <option value="html">HTML (картинки внутри файла)</option>
+                                <option value="zip">ZIP (HTML + папка images/)</option>
+                            </select>
+                        </div>
+                        <div class="flex-row">
+                            <label for="iig_export_range">Сообщения</label>
+                            <input type="text" id="iig_export_range" class="text_pole flex1" placeholder="все, или например 10-25">
+                            <div id="iig_export_chat" class="menu_button iig-icon-btn" title="Экспортировать"><i class="fa-solid fa-file-export"></i></div>
+                        </div>
+                        <hr>
+                        <div class="flex-row">
+                            <div id="iig_open_gallery" class="menu_button" style="width: 100%;"><i class="fa-solid fa-images"></i> Галерея картинок</div>
+                        </div>
+                        <div class="flex-row">
+                            <div id="iig_export_logs" class="menu_button" style="width: 100%;"><i class="fa-solid fa-download"></i> Экспорт логов</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        container.insertAdjacentHTML('beforeend', html);
+        refreshProfileSelectors();
+        fillProfileFields();
+        bindSettingsEvents();
+        loadUserAvatarOptions();
+        refreshStylePresets();
+        refreshChatSeed();
+        refreshInjectionSettings();
+        refreshEnhanceSettings();
+        refreshResultCacheInfo();
+        refreshUsageSummary();
+        renderCharacterRefs();
+    }
+
+    /**
+     * Bind settings event handlers
+     */
+    function bindSettingsEvents() {
+        const context = SillyTavern.getContext();
+        const settings = getSettings();
+        
+        document.getElementById('iig_enabled')?.addEventListener('change', (e) => {
+            settings.enabled = e.target.checked;
+            saveSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_streaming_generation')?.addEventListener('change', (e) => {
+            settings.streamingGeneration = e.target.checked;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_profile')?.addEventListener('change', (e) => {
+            settings.activeProfileId = e.target.value;
+            saveSettings();
+            fillProfileFields();
+        });
+        
+        document.getElementById('iig_profile_add')?.addEventListener('click', async () => {
+            const source = getActiveProfile();
+            const name = await context.callGenericPopup('Название нового профиля:', context.POPUP_TYPE.INPUT, `${source.name} (копия)`);
+            if (!name) return;
+            
+            const id = generateProfileId();
+            settings.profiles[id] = { ...structuredClone(source), name: String(name).trim() };
+            settings.activeProfileId = id;
+            saveSettings();
+            refreshProfileSelectors();
+            fillProfileFields();
+        });
+        
+        document.getElementById('iig_profile_rename')?.addEventListener('click', async () => {
+            const profile = getActiveProfile();
+            const name = await context.callGenericPopup('Новое название профиля:', context.POPUP_TYPE.INPUT, profile.name);
+            if (!name) return;
+            
+            profile.name = String(name).trim();
+            saveSettings();
+            refreshProfileSelectors();
+        });
+        
+        document.getElementById('iig_profile_delete')?.addEventListener('click', async () => {
+            if (Object.keys(settings.profiles).length <= 1) {
+                toastr.warning('Нельзя удалить последний профиль', 'Генерация картинок');
+                return;
+            }
+            
+            const profile = getActiveProfile();
+            const confirmed = await context.callGenericPopup(`Удалить профиль «${profile.name}»?`, context.POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            
+            const deletedId = settings.activeProfileId;
+            delete settings.profiles[deletedId];
+            for (const [avatar, profileId] of Object.entries(settings.characterProfiles)) {
+                if (profileId === deletedId) delete settings.characterProfiles[avatar];
+            }
+            settings.failoverChain = settings.failoverChain.filter(id => id !== deletedId);
+            settings.activeProfileId = Object.keys(settings.profiles)[0];
+            saveSettings();
+            refreshProfileSelectors();
+            fillProfileFields();
+        });
+        
+        document.getElementById('iig_char_profile')?.addEventListener('change', (e) => {
+            // The context captured at setup has the character of that moment
+            const current = SillyTavern.getContext();
+            const character = current.characters?.[current.characterId];
+            if (!character) return;
+            
+            if (e.target.value) {
+                settings.characterProfiles[character.avatar] = e.target.value;
+            } else {
+                delete settings.characterProfiles[character.avatar];
+            }
+            saveSettings();
+        });
+        
+        document.getElementById('iig_chat_profile')?.addEventListener('change', (e) => {
+            if (e.target.value) {
+                getChatMetadata().profileId = e.target.value;
+            } else {
+                delete getChatMetadata().profileId;
+            }
+            context.saveMetadata();
+        });
+        
+        document.getElementById('iig_api_type')?.addEventListener('change', (e) => {
+            getActiveProfile().apiType = e.target.value;
+            saveSettings();
+            updateApiSections(e.target.value);
+        });
+        
+        document.getElementById('iig_endpoint')?.addEventListener('input', (e) => {
+            getActiveProfile().endpoint = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_api_key')?.addEventListener('input', (e) => {
+            getActiveProfile().apiKey = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_key_toggle')?.addEventListener('click', () => {
+            const input = document.getElementById('iig_api_key');
+            input.type = input.type === 'password' ? 'text' : 'password';
+        });
+        
+        document.getElementById('iig_model')?.addEventListener('change', (e) => {
+            const profile = getActiveProfile();
+            profile.model = e.target.value;
+            if (profile.apiType === 'openai' && isGeminiModel(e.target.value)) {
+                document.getElementById('iig_api_type').value = 'gemini';
+                profile.apiType = 'gemini';
+                updateApiSections('gemini');
+            }
+            saveSettings();
+        });
+        
+        document.getElementById('iig_refresh_models')?.addEventListener('click', async (e) => {
+            const btn = e.currentTarget;
+            btn.classList.add('loading');
+            try {
+                const models = await fetchModels();
+                const select = document.getElementById('iig_model');
+                const currentModel = getActiveProfile().model;
+                select.innerHTML = '<option value="">-- Выберите модель --</option>';
+                for (const model of models) {
+                    const option = document.createElement('option');
+                    option.value = model;
+                    option.textContent = model;
+                    option.selected = model === currentModel;
+                    select.appendChild(option);
+                }
+                toastr.success(`Найдено моделей: ${models.length}`, 'Генерация картинок');
+            } catch (error) {
+                toastr.error('Ошибка загрузки моделей', 'Генерация картинок');
+            } finally {
+                btn.classList.remove('loading');
+            }
+        });
+        
+        for (const [id, key] of Object.entries(PROFILE_INPUT_FIELDS)) {
+            document.getElementById(id)?.addEventListener('input', (e) => {
+                const value = e.target.type === 'number' ? Number(e.target.value) : e.target.value;
+                getActiveProfile()[key] = value;
+                saveSettings();
+            });
+        }
+        
+        document.getElementById('iig_sd_sampler')?.addEventListener('change', (e) => {
+            getActiveProfile().sdSampler = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_sd_cn_model')?.addEventListener('change', (e) => {
+            getActiveProfile().sdControlNetModel = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_sd_refresh')?.addEventListener('click', async (e) => {
+            const btn = e.currentTarget;
+            const profile = getActiveProfile();
+            btn.classList.add('loading');
+            try {
+                const samplers = await fetchSdOptions(profile, 'sdapi/v1/samplers');
+                fillSelect(document.getElementById('iig_sd_sampler'), samplers.map(s => s.name), profile.sdSampler);
+                
+                const controlNet = await fetchSdOptions(profile, 'controlnet/model_list');
+                fillSelect(document.getElementById('iig_sd_cn_model'), controlNet.model_list || [], profile.sdControlNetModel, '-- Не выбрана --');
+                
+                toastr.success(`Найдено сэмплеров: ${samplers.length}`, 'Генерация картинок');
+            } catch (error) {
+                toastr.error('Ошибка загрузки списков SD', 'Генерация картинок');
+            } finally {
+                btn.classList.remove('loading');
+            }
+        });
+        
+        document.getElementById('iig_comfy_workflow')?.addEventListener('change', (e) => {
+            getActiveProfile().comfyWorkflowId = e.target.value;
+            saveSettings();
+            refreshComfyWorkflows();
+        });
+        
+        document.getElementById('iig_comfy_import')?.addEventListener('click', () => {
+            document.getElementById('iig_comfy_file')?.click();
+        });
+        
+        document.getElementById('iig_comfy_file')?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                const json = await file.text();
+                const graph = JSON.parse(json);
+                if (graph.nodes && graph.links) {
+                    toastr.warning('Это воркфлоу в UI-формате. Сохраните его в ComfyUI через «Export (API)».', 'Генерация картинок');
+                    return;
+                }
+                
+                const id = generateProfileId();
+                settings.comfyWorkflows[id] = { name: file.name.replace(/\.json$/i, ''), json: json, styles: '' };
+                getActiveProfile().comfyWorkflowId = id;
+                saveSettings();
+                refreshComfyWorkflows();
+                toastr.success(`Воркфлоу «${settings.comfyWorkflows[id].name}» импортирован`, 'Генерация картинок');
+            } catch (error) {
+                toastr.error(`Некорректный JSON: ${error.message}`, 'Генерация картинок');
+            }
+        });
+        
+        document.getElementById('iig_comfy_edit')?.addEventListener('click', async () => {
+            const workflow = settings.comfyWorkflows[getActiveProfile().comfyWorkflowId];
+            if (!workflow) return;
+            
+            const json = await context.callGenericPopup(`Воркфлоу «${workflow.name}» (API format):`, context.POPUP_TYPE.INPUT, workflow.json, { rows: 20, wide: true });
+            if (!json) return;
+            
+            try {
+                JSON.parse(json);
+            } catch (error) {
+                toastr.error(`Некорректный JSON: ${error.message}`, 'Генерация картинок');
+                return;
+            }
+            workflow.json = json;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_comfy_delete')?.addEventListener('click', async () => {
+            const id = getActiveProfile().comfyWorkflowId;
+            const workflow = settings.comfyWorkflows[id];
+            if (!workflow) return;
+            
+            const confirmed = await context.callGenericPopup(`Удалить воркфлоу «${workflow.name}»?`, context.POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            
+            delete settings.comfyWorkflows[id];
+            for (const profile of Object.values(settings.profiles)) {
+                if (profile.comfyWorkflowId === id) profile.comfyWorkflowId = '';
+            }
+            saveSettings();
+            refreshComfyWorkflows();
+        });
+        
+        document.getElementById('iig_comfy_styles')?.addEventListener('input', (e) => {
+            const workflow = settings.comfyWorkflows[getActiveProfile().comfyWorkflowId];
+            if (!workflow) return;
+            
+            workflow.styles = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_size')?.addEventListener('change', (e) => {
+            getActiveProfile().size = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_quality')?.addEventListener('change', (e) => {
+            getActiveProfile().quality = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_image_size')?.addEventListener('change', (e) => {
+            getActiveProfile().imageSize = e.target.value;
+            saveSettings();
+        });
+
+        document.getElementById('iig_aspect_ratio')?.addEventListener('change', (e) => {
+            getActiveProfile().aspectRatio = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_send_char_avatar')?.addEventListener('change', (e) => {
+            getActiveProfile().sendCharAvatar = e.target.checked;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_send_user_avatar')?.addEventListener('change', (e) => {
+            getActiveProfile().sendUserAvatar = e.target.checked;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_user_avatar_file')?.addEventListener('change', (e) => {
+            getActiveProfile().userAvatarFile = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_char_ref_add')?.addEventListener('click', () => {
+            if (context.characterId === undefined || context.characterId === null) {
+                toastr.warning('Сначала откройте чат с персонажем', 'Генерация картинок');
+                return;
+            }
+            document.getElementById('iig_char_ref_file').click();
+        });
+        
+        document.getElementById('iig_char_ref_file')?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            const character = context.characters?.[context.characterId];
+            if (!file || !character) return;
+            
+            const name = await context.callGenericPopup('Имя референса (латиница, цифры, _ и -):', context.POPUP_TYPE.INPUT, file.name.replace(/\.[^.]+$/, ''));
+            if (!name) return;
+            
+            const refName = String(name).trim();
+            if (!/^[\w-]+$/.test(refName)) {
+                toastr.error('Недопустимое имя референса', 'Генерация картинок');
+                return;
+            }
+            
+            const refs = getCharacterRefs(character).filter(r => r.name !== refName);
+            try {
+                const path = await saveImageToFile(await blobToDataUrl(file), `iig_ref_${refName}_${Date.now()}`);
+                refs.push({ name: refName, path });
+                await saveCharacterRefs(character, refs);
+                renderCharacterRefs();
+                toastr.success(`Референс char:${refName} добавлен`, 'Генерация картинок');
+            } catch (error) {
+                toastr.error(`Не удалось сохранить референс: ${error.message}`, 'Генерация картинок');
+            }
+        });
+        
+        document.getElementById('iig_char_refs_list')?.addEventListener('click', async (e) => {
+            const btn = e.target.closest('.iig-char-ref-delete');
+            const character = context.characters?.[context.characterId];
+            if (!btn || !character) return;
+            
+            const refName = btn.dataset.name;
+            const confirmed = await context.callGenericPopup(`Удалить референс char:${refName}?`, context.POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            
+            await saveCharacterRefs(character, getCharacterRefs(character).filter(r => r.name !== refName));
+            renderCharacterRefs();
+        });
+        
+        const getEditedStylePreset = () => settings.stylePresets[document.getElementById('iig_style_preset')?.value];
+        
+        document.getElementById('iig_style_preset')?.addEventListener('change', () => {
+            refreshStylePresets();
+        });
+        
+        document.getElementById('iig_style_add')?.addEventListener('click', async () => {
+            const name = await context.callGenericPopup('Название стиля (как в поле style тега):', context.POPUP_TYPE.INPUT, '');
+            if (!name) return;
+            
+            const id = generateProfileId();
+            settings.stylePresets[id] = { ...defaultStylePreset, name: String(name).trim() };
+            saveSettings();
+            refreshStylePresets(id);
+        });
+        
+        document.getElementById('iig_style_rename')?.addEventListener('click', async () => {
+            const preset = getEditedStylePreset();
+            if (!preset) return;
+            
+            const name = await context.callGenericPopup('Новое название стиля:', context.POPUP_TYPE.INPUT, preset.name);
+            if (!name) return;
+            
+            preset.name = String(name).trim();
+            saveSettings();
+            refreshStylePresets();
+        });
+        
+        document.getElementById('iig_style_delete')?.addEventListener('click', async () => {
+            const id = document.getElementById('iig_style_preset').value;
+            const preset = settings.stylePresets[id];
+            if (!preset) return;
+            
+            const confirmed = await context.callGenericPopup(`Удалить стиль «${preset.name}»?`, context.POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            
+            delete settings.stylePresets[id];
+            saveSettings();
+            refreshStylePresets();
+        });
+        
+        for (const input of document.querySelectorAll('#iig_style_fields [data-style-key]')) {
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', (e) => {
+                const preset = getEditedStylePreset();
+                if (!preset) return;
+                
+                preset[e.target.dataset.styleKey] = e.target.value;
+                saveSettings();
+            });
+        }
+        
+        document.getElementById('iig_chat_style')?.addEventListener('change', (e) => {
+            getChatMetadata().defaultStyle = e.target.value;
+            context.saveMetadata();
+        });
+        
+        document.getElementById('iig_chat_seed')?.addEventListener('change', (e) => {
+            const seed = parseSeed(e.target.value);
+            if (seed === null) {
+                delete getChatMetadata().lockedSeed;
+            } else {
+                getChatMetadata().lockedSeed = seed;
+            }
+            context.saveMetadata();
+            refreshChatSeed();
+        });
+        
+        document.getElementById('iig_inject_enabled')?.addEventListener('change', (e) => {
+            settings.injectEnabled = e.target.checked;
+            saveSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_chat_inject')?.addEventListener('change', (e) => {
+            const metadata = getChatMetadata();
+            if (e.target.value) {
+                metadata.injectEnabled = e.target.value === 'on';
+            } else {
+                delete metadata.injectEnabled;
+            }
+            context.saveMetadata();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_inject_template')?.addEventListener('change', (e) => {
+            settings.injectTemplateId = e.target.value;
+            saveSettings();
+            refreshInjectionSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_inject_text')?.addEventListener('input', (e) => {
+            const template = settings.injectTemplates[settings.injectTemplateId];
+            if (!template) return;
+            
+            template.text = e.target.value;
+            saveSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_inject_add')?.addEventListener('click', async () => {
+            const source = settings.injectTemplates[settings.injectTemplateId];
+            const name = await context.callGenericPopup('Название шаблона:', context.POPUP_TYPE.INPUT, source ? `${source.name} (копия)` : '');
+            if (!name) return;
+            
+            const id = generateProfileId();
+            settings.injectTemplates[id] = { name: String(name).trim(), text: source?.text || '' };
+            settings.injectTemplateId = id;
+            saveSettings();
+            refreshInjectionSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_inject_rename')?.addEventListener('click', async () => {
+            const template = settings.injectTemplates[settings.injectTemplateId];
+            if (!template) return;
+            
+            const name = await context.callGenericPopup('Новое название шаблона:', context.POPUP_TYPE.INPUT, template.name);
+            if (!name) return;
+            
+            template.name = String(name).trim();
+            saveSettings();
+            refreshInjectionSettings();
+        });
+        
+        document.getElementById('iig_inject_delete')?.addEventListener('click', async () => {
+            const template = settings.injectTemplates[settings.injectTemplateId];
+            if (!template) return;
+            
+            const confirmed = await context.callGenericPopup(`Удалить шаблон «${template.name}»?`, context.POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            
+            delete settings.injectTemplates[settings.injectTemplateId];
+            settings.injectTemplateId = Object.keys(settings.injectTemplates)[0] || '';
+            saveSettings();
+            refreshInjectionSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_inject_reset')?.addEventListener('click', async () => {
+            const confirmed = await context.callGenericPopup('Восстановить стандартные шаблоны (prompt.md, css_html.txt)? Изменения в них будут потеряны.', context.POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            
+            await loadShippedTemplates(true);
+            if (!settings.injectTemplates[settings.injectTemplateId]) {
+                settings.injectTemplateId = Object.keys(SHIPPED_TEMPLATES)[0];
+                saveSettings();
+            }
+            refreshInjectionSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_inject_position')?.addEventListener('change', (e) => {
+            settings.injectPosition = Number(e.target.value);
+            saveSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_inject_depth')?.addEventListener('input', (e) => {
+            settings.injectDepth = Math.max(0, Number(e.target.value) || 0);
+            saveSettings();
+            updateInstructionInjection();
+        });
+        
+        document.getElementById('iig_inject_role')?.addEventListener('change', (e) => {
+            settings.injectRole = Number(e.target.value);
+            saveSettings();
+            updateInstructionInjection();
+        });
         
-        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
-        if (!messageElement) { processingMessages.delete(messageId); return; }
+        document.getElementById('iig_style_export')?.addEventListener('click', () => {
+            const presets = Object.values(settings.stylePresets);
+            if (presets.length === 0) {
+                toastr.warning('Нет стилей для экспорта', 'Генерация картинок');
+                return;
+            }
+            
+            const blob = new Blob([JSON.stringify(presets, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'iig-styles.json';
+            a.click();
+            URL.revokeObjectURL(url);
+        });
         
-        const mesTextEl = messageElement.querySelector('.mes_text');
+        document.getElementById('iig_style_import')?.addEventListener('click', () => {
+            document.getElementById('iig_style_file')?.click();
+        });
         
-        for (let index = 0; index < tags.length; index++) {
-            const tag = tags[index];
-            const tagId = `iig-regen-${messageId}-${index}`;
+        document.getElementById('iig_style_file')?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (!file) return;
             
             try {
-                const existingImg = mesTextEl.querySelector(`img[data-iig-instruction]`);
-                if (existingImg) {
-                    const instruction = existingImg.getAttribute('data-iig-instruction');
-                    const loadingPlaceholder = createLoadingPlaceholder(tagId);
-                    existingImg.replaceWith(loadingPlaceholder);
-                    const statusEl = loadingPlaceholder.querySelector('.iig-status');
-                    
-                    const dataUrl = await generateImageWithRetry(
-                        tag.prompt,
-                        tag.style,
-                        (status) => { statusEl.textContent = status; },
-                        { aspectRatio: tag.aspectRatio, imageSize: tag.imageSize, quality: tag.quality }
-                    );
+                const parsed = JSON.parse(await file.text());
+                const imported = Array.isArray(parsed) ? parsed : Object.values(parsed);
+                let count = 0;
+                
+                for (const item of imported) {
+                    if (!item?.name || typeof item.name !== 'string') continue;
                     
-                    let imagePath;
-                    if (dataUrl.startsWith('http')) {
-                        imagePath = dataUrl;
-                    } else {
-                        statusEl.textContent = 'Сохранение...';
-                        imagePath = await saveImageToFile(dataUrl);
+                    // Presets with the same name are replaced, so re-importing a shared file updates it
+                    const existingId = Object.keys(settings.stylePresets)
+                        .find(id => settings.stylePresets[id].name.toLowerCase() === item.name.toLowerCase());
+                    const preset = { ...defaultStylePreset };
+                    for (const key of Object.keys(defaultStylePreset)) {
+                        if (typeof item[key] === 'string') preset[key] = item[key];
                     }
-                    
-                    const img = document.createElement('img');
-                    img.className = 'iig-generated-image';
-                    img.src = imagePath;
-                    img.alt = tag.prompt;
-                    if (instruction) img.setAttribute('data-iig-instruction', instruction);
-                    
-                    loadingPlaceholder.replaceWith(img);
-                    
-                    const updatedTag = tag.fullMatch.replace(/src\s*=\s*(['"])[^'"]*\1/i, `src="${imagePath}"`);
-                    message.mes = message.mes.replace(tag.fullMatch, updatedTag);
-                    
-                    toastr.success(`Картинка ${index + 1}/${tags.length} готова`);
+                    settings.stylePresets[existingId || generateProfileId()] = preset;
+                    count++;
                 }
+                
+                saveSettings();
+                refreshStylePresets();
+                toastr.success(`Импортировано стилей: ${count}`, 'Генерация картинок');
             } catch (error) {
-                toastr.error(`Ошибка: ${error.message}`, 'Генерация картинок');
+                toastr.error(`Некорректный JSON: ${error.message}`, 'Генерация картинок');
             }
-        }
-        
-        processingMessages.delete(messageId);
-        await context.saveChat();
-    }
-
-    /**
-     * Add regenerate button to message
-     */
-    function addRegenerateButton(messageElement, messageId) {
-        if (messageElement.querySelector('.iig-regenerate-btn')) return;
+        });
         
-        const extraMesButtons = messageElement.querySelector('.extraMesButtons');
-        if (!extraMesButtons) return;
+        document.getElementById('iig_queue_concurrency')?.addEventListener('input', (e) => {
+            settings.queueConcurrency = Math.max(1, Number(e.target.value) || 1);
+            saveSettings();
+            pumpQueue();
+        });
         
-        const btn = document.createElement('div');
-        btn.className = 'mes_button iig-regenerate-btn fa-solid fa-images interactable';
-        btn.title = 'Перегенерировать картинки';
-        btn.tabIndex = 0;
-        btn.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            await regenerateMessageImages(messageId);
+        document.getElementById('iig_show_queue_panel')?.addEventListener('change', (e) => {
+            settings.showQueuePanel = e.target.checked;
+            saveSettings();
+            renderQueuePanel();
         });
         
-        extraMesButtons.appendChild(btn);
-    }
-
-    /**
-     * Add buttons to all existing AI messages
-     */
-    function addButtonsToExistingMessages() {
-        const context = SillyTavern.getContext();
-        if (!context.chat || context.chat.length === 0) return;
+        document.getElementById('iig_failover_add')?.addEventListener('click', () => {
+            const id = document.getElementById('iig_failover_profile').value;
+            if (!id || settings.failoverChain.includes(id)) return;
+            
+            settings.failoverChain.push(id);
+            saveSettings();
+            refreshFailoverSettings();
+        });
         
-        const messageElements = document.querySelectorAll('#chat .mes');
-        for (const messageElement of messageElements) {
-            const mesId = messageElement.getAttribute('mesid');
-            if (mesId === null) continue;
+        document.getElementById('iig_failover_list')?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            const index = Number(e.target.closest('[data-index]')?.dataset.index);
+            if (!action || Number.isNaN(index)) return;
             
-            const messageId = parseInt(mesId, 10);
-            const message = context.chat[messageId];
+            const chain = settings.failoverChain;
+            if (action === 'remove') {
+                chain.splice(index, 1);
+            } else {
+                const target = action === 'up' ? index - 1 : index + 1;
+                if (target < 0 || target >= chain.length) return;
+                [chain[index], chain[target]] = [chain[target], chain[index]];
+            }
+            saveSettings();
+            refreshFailoverSettings();
+        });
+        
+        document.getElementById('iig_failover_rules')?.addEventListener('change', (e) => {
+            const failure = e.target.dataset.failure;
+            if (!failure) return;
             
-            if (message && !message.is_user) {
-                addRegenerateButton(messageElement, messageId);
+            settings.failoverRules[failure] = e.target.value;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_enhance_enabled')?.addEventListener('change', (e) => {
+            settings.enhanceEnabled = e.target.checked;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_chat_enhance')?.addEventListener('change', (e) => {
+            const metadata = getChatMetadata();
+            if (e.target.value) {
+                metadata.enhanceEnabled = e.target.value === 'on';
+            } else {
+                delete metadata.enhanceEnabled;
             }
-        }
-    }
-
-    /**
-     * Handle CHARACTER_MESSAGE_RENDERED event
-     */
-    async function onMessageReceived(messageId) {
-        const settings = getSettings();
-        if (!settings.enabled) return;
+            context.saveMetadata();
+        });
         
-        const context = SillyTavern.getContext();
-        const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
-        if (!messageElement) return;
+        document.getElementById('iig_enhance_messages')?.addEventListener('input', (e) => {
+            settings.enhanceMessages = Math.min(20, Math.max(1, parseInt(e.target.value) || 1));
+            saveSettings();
+        });
         
-        addRegenerateButton(messageElement, messageId);
-        await processMessageTags(messageId);
-    }
-
-    /**
-     * Create settings UI
-     */
-    function createSettingsUI() {
-        const settings = getSettings();
-        const container = document.getElementById('extensions_settings');
-        if (!container) return;
+        const enhanceTemplate = document.getElementById('iig_enhance_template');
+        if (enhanceTemplate) enhanceTemplate.value = settings.enhanceTemplate || DEFAULT_ENHANCE_TEMPLATE;
+        enhanceTemplate?.addEventListener('input', (e) => {
+            settings.enhanceTemplate = e.target.value === DEFAULT_ENHANCE_TEMPLATE ? '' : e.target.value;
+            saveSettings();
+        });
         
-        const html = `
-            <div class="inline-drawer">
-                <div class="inline-drawer-toggle inline-drawer-header">
-                    <b>Генерация картинок</b>
-                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
-                </div>
-                <div class="inline-drawer-content">
-                    <div class="iig-settings">
-                        <label class="checkbox_label">
-                            <input type="checkbox" id="iig_enabled" ${settings.enabled ? 'checked' : ''}>
-                            <span>Включить генерацию картинок</span>
-                        </label>
-                        <hr>
-                        <h4>Настройки API</h4>
-                        <div class="flex-row">
-                            <label for="iig_api_type">Тип API</label>
-                            <select id="iig_api_type" class="flex1">
-                                <option value="openai" ${settings.apiType === 'openai' ? 'selected' : ''}>OpenAI-совместимый</option>
-                                <option value="gemini" ${settings.apiType === 'gemini' ? 'selected' : ''}>Gemini-совместимый (nano-banana)</option>
-                            </select>
-                        </div>
-                        <div class="flex-row">
-                            <label for="iig_endpoint">URL эндпоинта</label>
-                            <input type="text" id="iig_endpoint" class="text_pole flex1" value="${settings.endpoint}" placeholder="http://localhost:8045">
-                        </div>
-                        <div class="flex-row">
-                            <label for="iig_api_key">API ключ</label>
-                            <input type="password" id="iig_api_key" class="text_pole flex1" value="${settings.apiKey}">
-                            <div id="iig_key_toggle" class="menu_button iig-key-toggle"><i class="fa-solid fa-eye"></i></div>
-                        </div>
-                        <div class="flex-row">
-                            <label for="iig_model">Модель</label>
-                            <select id="iig_model" class="flex1">
-                                ${settings.model ? `<option value="${settings.model}" selected>${settings.model}</option>` : '<option value="">-- Выберите модель --</option>'}
-                            </select>
-                            <div id="iig_refresh_models" class="menu_button iig-refresh-btn"><i class="fa-solid fa-sync"></i></div>
-                        </div>
-                        <hr>
-                        <div id="iig_avatar_section" class="iig-avatar-section ${settings.apiType !== 'gemini' ? 'hidden' : ''}">
-                            <h4>Настройки Nano-Banana</h4>
-                            <div class="flex-row">
-                                <label for="iig_image_size">Разрешение</label>
-                                <select id="iig_image_size" class="flex1">
-                                    <option value="1K" ${settings.imageSize === '1K' ? 'selected' : ''}>1K (Стандарт)</option>
-                                    <option value="2K" ${settings.imageSize === '2K' ? 'selected' : ''}>2K (Высокое)</option>
-                                    <option value="4K" ${settings.imageSize === '4K' ? 'selected' : ''}>4K (Ультра)</option>
-                                </select>
-                            </div>
-                            <div class="flex-row">
-                                <label for="iig_aspect_ratio">Соотношение</label>
-                                <select id="iig_aspect_ratio" class="flex1">
-                                    <option value="1:1" ${settings.aspectRatio === '1:1' ? 'selected' : ''}>1:1 (Квадрат)</option>
-                                    <option value="2:3" ${settings.aspectRatio === '2:3' ? 'selected' : ''}>2:3 (Портрет)</option>
-                                    <option value="3:2" ${settings.aspectRatio === '3:2' ? 'selected' : ''}>3:2 (Альбом)</option>
-                                    <option value="3:4" ${settings.aspectRatio === '3:4' ? 'selected' : ''}>3:4 (Портрет)</option>
-                                    <option value="4:3" ${settings.aspectRatio === '4:3' ? 'selected' : ''}>4:3 (Альбом)</option>
-                                    <option value="4:5" ${settings.aspectRatio === '4:5' ? 'selected' : ''}>4:5 (Портрет)</option>
-                                    <option value="5:4" ${settings.aspectRatio === '5:4' ? 'selected' : ''}>5:4 (Альбом)</option>
-                                    <option value="9:16" ${settings.aspectRatio === '9:16' ? 'selected' : ''}>9:16 (Вертикальный)</option>
-                                    <option value="16:9" ${settings.aspectRatio === '16:9' ? 'selected' : ''}>16:9 (Широкий)</option>
-                                    <option value="21:9" ${settings.aspectRatio === '21:9' ? 'selected' : ''}>21:9 (Кино)</option>
-                                </select>
-                            </div>
-                            <label class="checkbox_label">
-                                <input type="checkbox" id="iig_send_char_avatar" ${settings.sendCharAvatar ? 'checked' : ''}>
-                                <span>Отправлять аватар {{char}} (Может вызвать блок Safety!)</span>
-                            </label>
-                            <label class="checkbox_label">
-                                <input type="checkbox" id="iig_send_user_avatar" ${settings.sendUserAvatar ? 'checked' : ''}>
-                                <span>Отправлять аватар {{user}}</span>
-                            </label>
-                        </div>
-                        <hr>
-                        <div class="flex-row">
-                            <div id="iig_export_logs" class="menu_button" style="width: 100%;"><i class="fa-solid fa-download"></i> Экспорт логов</div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+        document.getElementById('iig_enhance_reset')?.addEventListener('click', () => {
+            settings.enhanceTemplate = '';
+            if (enhanceTemplate) enhanceTemplate.value = DEFAULT_ENHANCE_TEMPLATE;
+            saveSettings();
+        });
         
-        container.insertAdjacentHTML('beforeend', html);
-        bindSettingsEvents();
-    }
-
-    /**
-     * Bind settings event handlers
-     */
-    function bindSettingsEvents() {
-        const settings = getSettings();
+        document.getElementById('iig_auto_illustrate_enabled')?.addEventListener('change', (e) => {
+            settings.autoIllustrateEnabled = e.target.checked;
+            saveSettings();
+        });
         
-        document.getElementById('iig_enabled')?.addEventListener('change', (e) => {
-            settings.enabled = e.target.checked;
+        document.getElementById('iig_auto_illustrate_every')?.addEventListener('input', (e) => {
+            settings.autoIllustrateEvery = Math.min(50, Math.max(1, parseInt(e.target.value) || 1));
             saveSettings();
         });
         
-        document.getElementById('iig_api_type')?.addEventListener('change', (e) => {
-            settings.apiType = e.target.value;
+        const illustratePlacement = document.getElementById('iig_auto_illustrate_placement');
+        if (illustratePlacement) illustratePlacement.value = settings.autoIllustratePlacement;
+        illustratePlacement?.addEventListener('change', (e) => {
+            settings.autoIllustratePlacement = e.target.value;
             saveSettings();
-            document.getElementById('iig_avatar_section')?.classList.toggle('hidden', e.target.value !== 'gemini');
         });
         
-        document.getElementById('iig_endpoint')?.addEventListener('input', (e) => {
-            settings.endpoint = e.target.value;
+        document.getElementById('iig_auto_illustrate_style')?.addEventListener('input', (e) => {
+            settings.autoIllustrateStyle = e.target.value.trim();
             saveSettings();
         });
         
-        document.getElementById('iig_api_key')?.addEventListener('input', (e) => {
-            settings.apiKey = e.target.value;
+        document.getElementById('iig_auto_illustrate_messages')?.addEventListener('input', (e) => {
+            settings.autoIllustrateMessages = Math.min(20, Math.max(1, parseInt(e.target.value) || 1));
             saveSettings();
         });
         
-        document.getElementById('iig_key_toggle')?.addEventListener('click', () => {
-            const input = document.getElementById('iig_api_key');
-            input.type = input.type === 'password' ? 'text' : 'password';
+        const illustrateTemplate = document.getElementById('iig_auto_illustrate_template');
+        if (illustrateTemplate) illustrateTemplate.value = settings.autoIllustrateTemplate || DEFAULT_ILLUSTRATE_TEMPLATE;
+        illustrateTemplate?.addEventListener('input', (e) => {
+            settings.autoIllustrateTemplate = e.target.value === DEFAULT_ILLUSTRATE_TEMPLATE ? '' : e.target.value;
+            saveSettings();
         });
         
-        document.getElementById('iig_model')?.addEventListener('change', (e) => {
-            settings.model = e.target.value;
+        document.getElementById('iig_auto_illustrate_reset')?.addEventListener('click', () => {
+            settings.autoIllustrateTemplate = '';
+            if (illustrateTemplate) illustrateTemplate.value = DEFAULT_ILLUSTRATE_TEMPLATE;
             saveSettings();
-            if (isGeminiModel(e.target.value)) {
-                document.getElementById('iig_api_type').value = 'gemini';
-                settings.apiType = 'gemini';
-                document.getElementById('iig_avatar_section')?.classList.remove('hidden');
-            }
         });
         
-        document.getElementById('iig_refresh_models')?.addEventListener('click', async (e) => {
-            const btn = e.currentTarget;
-            btn.classList.add('loading');
-            try {
-                const models = await fetchModels();
-                const select = document.getElementById('iig_model');
-                const currentModel = settings.model;
-                select.innerHTML = '<option value="">-- Выберите модель --</option>';
-                for (const model of models) {
-                    const option = document.createElement('option');
-                    option.value = model;
-                    option.textContent = model;
-                    option.selected = model === currentModel;
-                    select.appendChild(option);
-                }
-                toastr.success(`Найдено моделей: ${models.length}`, 'Генерация картинок');
-            } catch (error) {
-                toastr.error('Ошибка загрузки моделей', 'Генерация картинок');
-            } finally {
-                btn.classList.remove('loading');
-            }
+        document.getElementById('iig_safety_rewrite_enabled')?.addEventListener('change', (e) => {
+            settings.safetyRewriteEnabled = e.target.checked;
+            saveSettings();
         });
         
-        // ДОБАВЛЕНО: Обработчик размера картинки
-        document.getElementById('iig_image_size')?.addEventListener('change', (e) => {
-            settings.imageSize = e.target.value;
+        document.getElementById('iig_safety_rewrite_attempts')?.addEventListener('input', (e) => {
+            settings.safetyRewriteAttempts = Math.min(5, Math.max(1, parseInt(e.target.value) || 1));
             saveSettings();
         });
-
-        document.getElementById('iig_aspect_ratio')?.addEventListener('change', (e) => {
-            settings.aspectRatio = e.target.value;
+        
+        document.getElementById('iig_safety_rewrite_replace')?.addEventListener('change', (e) => {
+            settings.safetyRewriteReplace = e.target.checked;
             saveSettings();
         });
         
-        document.getElementById('iig_send_char_avatar')?.addEventListener('change', (e) => {
-            settings.sendCharAvatar = e.target.checked;
+        const safetyRewriteTemplate = document.getElementById('iig_safety_rewrite_template');
+        if (safetyRewriteTemplate) safetyRewriteTemplate.value = settings.safetyRewriteTemplate || DEFAULT_SAFETY_REWRITE_TEMPLATE;
+        safetyRewriteTemplate?.addEventListener('input', (e) => {
+            settings.safetyRewriteTemplate = e.target.value === DEFAULT_SAFETY_REWRITE_TEMPLATE ? '' : e.target.value;
             saveSettings();
         });
         
-        document.getElementById('iig_send_user_avatar')?.addEventListener('change', (e) => {
-            settings.sendUserAvatar = e.target.checked;
+        document.getElementById('iig_safety_rewrite_reset')?.addEventListener('click', () => {
+            settings.safetyRewriteTemplate = '';
+            if (safetyRewriteTemplate) safetyRewriteTemplate.value = DEFAULT_SAFETY_REWRITE_TEMPLATE;
+            saveSettings();
+        });
+        
+        document.getElementById('iig_usage_period')?.addEventListener('change', (e) => {
+            settings.usageLimitPeriod = e.target.value;
+            saveSettings();
+            refreshUsageSummary();
+        });
+        
+        document.getElementById('iig_usage_unit')?.addEventListener('change', (e) => {
+            settings.usageLimitUnit = e.target.value;
+            saveSettings();
+            refreshUsageSummary();
+        });
+        
+        document.getElementById('iig_usage_warn')?.addEventListener('input', (e) => {
+            settings.usageWarnThreshold = Math.max(0, Number(e.target.value) || 0);
+            settings.usageWarnedPeriod = '';
+            saveSettings();
+        });
+        
+        document.getElementById('iig_usage_cap')?.addEventListener('input', (e) => {
+            settings.usageHardCap = Math.max(0, Number(e.target.value) || 0);
+            saveSettings();
+            refreshUsageSummary();
+        });
+        
+        document.getElementById('iig_usage_prices')?.addEventListener('input', (e) => {
+            const model = e.target.dataset.model;
+            if (!model) return;
+            
+            if (e.target.value === '') {
+                delete settings.modelPrices[model];
+            } else {
+                settings.modelPrices[model] = Math.max(0, Number(e.target.value) || 0);
+            }
+            saveSettings();
+            refreshUsageSummary();
+        });
+        
+        document.getElementById('iig_usage_clear')?.addEventListener('click', async () => {
+            const context = SillyTavern.getContext();
+            const confirmed = await context.callGenericPopup('Очистить журнал расходов? Итоги за день и месяц обнулятся.', context.POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            
+            settings.usageDays = {};
+            settings.usageMonths = {};
+            settings.usageLog = [];
+            settings.usageWarnedPeriod = '';
+            saveSettings();
+            refreshUsageSummary();
+        });
+        
+        document.getElementById('iig_result_cache_enabled')?.addEventListener('change', (e) => {
+            settings.resultCacheEnabled = e.target.checked;
             saveSettings();
         });
         
+        document.getElementById('iig_result_cache_view')?.addEventListener('click', () => openResultCacheViewer());
+        
+        document.getElementById('iig_result_cache_clear')?.addEventListener('click', async () => {
+            const context = SillyTavern.getContext();
+            const confirmed = await context.callGenericPopup('Очистить кэш результатов? Сами картинки не удаляются.', context.POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            
+            resultCacheState.entries = {};
+            resultCacheState.loading = Promise.resolve(resultCacheState.entries);
+            saveResultCache();
+            refreshResultCacheInfo();
+        });
+        
+        document.getElementById('iig_open_gallery')?.addEventListener('click', () => openGallery());
+        
+        const metadataDrop = document.getElementById('iig_metadata_drop');
+        metadataDrop?.addEventListener('click', () => document.getElementById('iig_metadata_file')?.click());
+        metadataDrop?.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            metadataDrop.classList.add('dragover');
+        });
+        metadataDrop?.addEventListener('dragleave', () => metadataDrop.classList.remove('dragover'));
+        metadataDrop?.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            metadataDrop.classList.remove('dragover');
+            const file = e.dataTransfer?.files?.[0];
+            if (file) await showImageMetadata(file);
+        });
+        
+        document.getElementById('iig_metadata_file')?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) await showImageMetadata(file);
+        });
+        
+        document.getElementById('iig_export_chat')?.addEventListener('click', async () => {
+            try {
+                await exportChat(document.getElementById('iig_export_format').value, document.getElementById('iig_export_range').value);
+            } catch (error) {
+                iigLog('ERROR', 'Chat export failed:', error.message);
+                toastr.error(`Ошибка экспорта: ${error.message}`, 'Генерация картинок');
+            }
+        });
+        
         document.getElementById('iig_export_logs')?.addEventListener('click', () => {
             exportLogs();
         });
@@ -1285,13 +7459,36 @@
         
         context.eventSource.on(context.event_types.APP_READY, () => {
             createSettingsUI();
+            initImageToolbar();
+            addGalleryMenuItem();
             addButtonsToExistingMessages();
+            loadShippedTemplates().then(() => {
+                refreshInjectionSettings();
+                updateInstructionInjection();
+            });
             console.log('[IIG] Inline Image Generation extension loaded');
         });
         
+        registerSlashCommands();
+        
+        // Refresh the instruction block right before the prompt is built, so style presets are current
+        context.eventSource.on(context.event_types.GENERATION_STARTED, (type, options, dryRun) => {
+            if (!dryRun) onGenerationStarted(type);
+            updateInstructionInjection();
+        });
+        
         context.eventSource.on(context.event_types.CHAT_CHANGED, () => {
+            discardStreamingGenerations();
+            cancelOrphanedGenerations();
             setTimeout(() => {
                 addButtonsToExistingMessages();
+                refreshProfileSelectors();
+                refreshStylePresets();
+                refreshChatSeed();
+                refreshInjectionSettings();
+                refreshEnhanceSettings();
+                renderCharacterRefs();
+                updateInstructionInjection();
             }, 100);
         });
         
@@ -1299,7 +7496,16 @@
             await onMessageReceived(messageId);
         };
         
+        // Only replies received now are candidates for auto-illustration, not messages rendered on chat load
+        context.eventSource.on(context.event_types.MESSAGE_RECEIVED, (messageId) => {
+            const message = SillyTavern.getContext().chat[messageId];
+            if (message) freshReplies.add(message);
+        });
         context.eventSource.makeLast(context.event_types.CHARACTER_MESSAGE_RENDERED, handleMessage);
+        context.eventSource.on(context.event_types.STREAM_TOKEN_RECEIVED, onStreamToken);
+        context.eventSource.on(context.event_types.MESSAGE_UPDATED, onMessageEdited);
+        context.eventSource.on(context.event_types.MESSAGE_SWIPED, onMessageSwiped);
+        context.eventSource.on(context.event_types.MESSAGE_DELETED, cancelOrphanedGenerations);
         
         console.log('[IIG] Inline Image Generation extension initialized');
     })();